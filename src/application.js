@@ -1,12 +1,102 @@
+import { multiply, identity } from 'mathjs';
+
 import {
-  equal,
-} from 'mathjs';
-import {
-  setThreeObjectPoseFromScrew,
-  setThreeObjectPoseFromThreeTransform,
-  myAxesHelper, getScrewSpeed,
+  setThreeObjectPoseFromScrew, setThreeObjectPoseFromTransform,
+  setThreeObjectPoseFromThreeTransform, mathToThreeTransform,
+  myAxesHelper, getScrewSpeed, inverseTransform, setTransformTranslation,
+  translationFromTransform, getSegmentThreeViz, transformFromRotationTranslation,
+  rotationMatrixFromAxisAngle,
 } from './util';
+import { isZero } from './tolerance';
 import { GuiHelper } from './gui_helper';
+import Screw from './screw';
+import Axis, { COMMON_NORMAL_VIZ_COLOR } from './axis';
+import RigidBody from './rigid_body';
+import KinematicChain from './kinematic_chain';
+import { solveInverseKinematics, getHistoryThreeViz } from './inverse_kinematics';
+import { instantaneousScrewAxes, getAxodeThreeMeshes } from './axodes';
+import {
+  comparePaths, decoupledTransformAt, getTraceThreeViz, SCREW_TRACE_COLOR, DECOUPLED_TRACE_COLOR,
+} from './path_comparison';
+
+/**
+* Legs of a path through waypoints. Each leg is the screw motion from the
+* previous pose, expressed in the frame of the previous pose.
+* @param {mathjs.Matrix} start - pose the path starts from
+* @param {Array} waypoints - transforms to travel through in turn
+* @return {Array} for each waypoint, an Object with fields
+*     start: {mathjs.Matrix} pose at the start of the leg,
+*     screw: {Screw} from Screw.fromTransform(startInverse * waypoint)
+*/
+export function getWaypointLegs(start, waypoints) {
+  let previous = start;
+  return waypoints.map((waypoint) => {
+    const leg = {
+      start: previous,
+      screw: Screw.fromTransform(multiply(inverseTransform(previous), waypoint)),
+    };
+    previous = waypoint;
+    return leg;
+  });
+}
+
+// colors of the axes of a composition, for the first, second and composed
+// screws: sky blue, green, amethyst
+const COMPOSITION_AXIS_VIZ_COLORS = [0x41B6E6, 0x44D62C, 0x9063CD];
+
+// The sample motion of the axodes, a cylinder of this radius rolling through
+// the angle, sampled at the number of poses.
+const AXODE_SAMPLE_RADIUS = 0.5;
+const AXODE_SAMPLE_ANGLE = 2 * Math.PI;
+const AXODE_SAMPLE_COUNT = 41;
+
+/**
+* A cylinder rolling without slipping along x on the plane y = 0, with its
+* axis along z, and the pose at its center. The fixed axode is the plane, and
+* the moving axode the cylinder.
+* @param {number} angle - rolled through, in rad
+* @param {number} radius - of the cylinder
+* @return {mathjs.Matrix} pose, at [0, radius, 0] for angle 0
+*/
+export function rollingCylinderTransform(angle, radius) {
+  return transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([0, 0, -1], angle),
+    [radius * angle, radius, 0],
+  );
+}
+
+// Longest step of a rigid body simulation, and longest simulated time per
+// frame, so that a slow frame slows the simulation down instead of stalling.
+const RIGID_BODY_MAX_TIME_STEP = 0.01;
+const RIGID_BODY_MAX_FRAME_TIME = 0.1;
+
+// An elbow manipulator, MLS Figure 3.4 layout with unit link lengths, solved
+// for the transform inputs. The link frames are at the joints, so that the
+// links are drawn between their origins.
+const IK_JOINT_POINTS = [[0, 0, 0], [0, 0, 0], [0, 1, 0], [0, 2, 0], [0, 2, 0], [0, 2, 0]];
+const IK_JOINT_DIRECTIONS = [[0, 0, 1], [-1, 0, 0], [-1, 0, 0], [0, 0, 1], [-1, 0, 0], [0, 1, 0]];
+const IK_CHAIN = new KinematicChain(
+  IK_JOINT_POINTS.map((point, i) => new Screw(new Axis(point, IK_JOINT_DIRECTIONS[i]), 0, 1)),
+  setTransformTranslation(identity(4), [0, 2, 0]),
+  IK_JOINT_POINTS.map((point) => setTransformTranslation(identity(4), point)),
+);
+// starting guess of every solve, with the elbow bent away from the singularity
+const IK_INITIAL_JOINT_VALUES = [0, 0, 0.5, 0, 0, 0];
+// grey
+const IK_CHAIN_VIZ_COLOR = 0x75787B;
+
+/**
+* @param {three.Object3D} viz - with geometry and material, or a parent of
+*     objects with them
+*/
+function disposeViz(viz) {
+  viz.traverse((object) => {
+    if (!(object.geometry === undefined)) {
+      object.geometry.dispose();
+      object.material.dispose();
+    }
+  });
+}
 
 export default class Application {
   /**
@@ -34,6 +124,14 @@ export default class Application {
       this.scene.add(this.refAxes);
     }
 
+    // The axes moved along the decoupled path when comparing paths, smaller to
+    // tell them apart, and hidden otherwise.
+    this.comparisonAxes = myAxesHelper(0.6, true, 0.015);
+    this.comparisonAxes.visible = false;
+    if (this.usingScene) {
+      this.scene.add(this.comparisonAxes);
+    }
+
     // State variables.
     this.screw = this.defaultScrew;
     // The previous input screw, this is useful to check if move pressed
@@ -51,8 +149,46 @@ export default class Application {
     this.moveStartTime = undefined;
     this.axisViz = undefined;
     this.helixViz = undefined;
-    // this is set based on input screw
-    this.screwSpeed = getScrewSpeed(this.screw);
+    // TimeScaling of the ongoing move, set in the first animate() call after
+    // move(), using the profile selected in the gui
+    this.timeScaling = undefined;
+    // The screw animated by the ongoing single move, one of the equivalent
+    // screws of this.screw, set in the first animate() call after move()
+    this.moveScrew = undefined;
+    // Poses to travel through on move. If empty, move goes to this.screw.
+    this.waypoints = [];
+    // Set in the first animate() call after move() with waypoints, see
+    // getWaypointLegs. Each leg also has a timeScaling field.
+    this.legs = undefined;
+    // the leg being animated, its start time is moveStartTime
+    this.legIndex = undefined;
+    // axis and helix viz of every leg, kept until the next move or reset
+    this.legVizs = [];
+    // Set by showComposition, see Screw.compose, and its axis and common
+    // normal viz, kept until the next showComposition or reset.
+    this.composition = undefined;
+    this.compositionVizs = [];
+    // The first screw of a composition from the gui, an input like the
+    // waypoints, kept on reset.
+    this.compositionFirst = undefined;
+    // Set by showAxodes, see instantaneousScrewAxes, and the axode meshes,
+    // kept until the next showAxodes or reset.
+    this.instantaneousAxes = undefined;
+    this.axodeVizs = [];
+    // Set by simulateRigidBody, a RigidBody that drives the ref axes until
+    // the next move or reset, and the clock time it was last advanced to.
+    this.rigidBody = undefined;
+    this.rigidBodyTime = undefined;
+    // Set in the first animate() call after move(), if comparing paths is
+    // checked in the gui, see comparePaths, and the origin traces of both
+    // paths, kept until the next move or reset.
+    this.pathComparison = undefined;
+    this.pathComparisonVizs = [];
+    // Set by solveInverseKinematics, see the function of the same name, and
+    // the viz of the chain and the iterations, kept until the next solve or
+    // reset.
+    this.inverseKinematics = undefined;
+    this.inverseKinematicsVizs = [];
 
     // Use arrow functions for callbacks properly binding `this` to the object,
     // https://stackoverflow.com/questions/20279484/how-to-access-the-correct-this-inside-a-callback
@@ -62,6 +198,15 @@ export default class Application {
       () => this.move(),
       () => this.reset(),
       resetCameraView,
+      {
+        addWaypoint: (screw) => this.addWaypoint(screw.getTransform()),
+        clearWaypoints: () => this.clearWaypoints(),
+        solveInverseKinematics: (screw) => this.solveInverseKinematics(screw.getTransform()),
+        setCompositionFirst: (screw) => this.setCompositionFirst(screw),
+        compose: (screw) => this.composeWith(screw),
+        axodes: (flag) => (flag ? this.showRollingAxodes() : this.removeAxodeVizFromScene()),
+        simulate: (name) => this.simulateRigidBody(RigidBody.fromPreset(name)),
+      },
     );
     if (!(gui === undefined)) {
       this.guiHelper.addToGui(gui);
@@ -75,16 +220,34 @@ export default class Application {
    */
   updateScrew(screw) {
     this.screw = screw;
-    this.screwSpeed = getScrewSpeed(screw);
     setThreeObjectPoseFromScrew(this.refAxes, screw);
   }
 
+  /**
+   * Append a pose to the path travelled on move.
+   * @param {mathjs.Matrix} transform
+   */
+  addWaypoint(transform) {
+    this.waypoints.push(transform);
+    this.guiHelper.numWaypoints = this.waypoints.length;
+  }
+
+  /**
+   * Remove all waypoints, the next move goes to this.screw.
+   */
+  clearWaypoints() {
+    this.waypoints = [];
+    this.guiHelper.numWaypoints = 0;
+  }
+
   /**
    * Apply state changes on a move button press.
    * This is passed as a callback to the GuiHelper instance.
    */
   move() {
     this.moveRequested = true;
+    // the move takes over the ref axes from a simulation
+    this.rigidBody = undefined;
   }
 
   /**
@@ -100,6 +263,12 @@ export default class Application {
     this.moveRequested = false;
     this.moveDone = true;
     this.moveStartTime = undefined;
+    this.timeScaling = undefined;
+    this.moveScrew = undefined;
+    // waypoints are inputs, and are kept
+    this.legs = undefined;
+    this.legIndex = undefined;
+    this.rigidBody = undefined;
 
     // reset ref axes
     setThreeObjectPoseFromScrew(this.refAxes, this.defaultScrew);
@@ -110,6 +279,10 @@ export default class Application {
     }
 
     this.removeVizFromScene();
+    this.removeCompositionVizFromScene();
+    this.removeAxodeVizFromScene();
+    this.removePathComparisonVizFromScene();
+    this.removeInverseKinematicsVizFromScene();
   }
 
   /**
@@ -121,21 +294,354 @@ export default class Application {
         && this.usingScene
         && this.scene.children.includes(this.axisViz)) {
       this.scene.remove(this.axisViz);
-      this.axisViz.geometry.dispose();
-      this.axisViz.material.dispose();
+      disposeViz(this.axisViz);
     }
 
     if (!(this.helixViz === undefined)
         && this.usingScene
         && this.scene.children.includes(this.helixViz)) {
       this.scene.remove(this.helixViz);
-      this.helixViz.geometry.dispose();
-      this.helixViz.material.dispose();
+      disposeViz(this.helixViz);
     }
 
     // reset the viz to undefined
     this.axisViz = undefined;
     this.helixViz = undefined;
+
+    this.removeLegVizFromScene();
+  }
+
+  /**
+   * Remove the viz of waypoint legs from the scene, and garbage collect them.
+   */
+  removeLegVizFromScene() {
+    this.legVizs.forEach((viz) => {
+      if (this.usingScene) {
+        this.scene.remove(viz);
+      }
+      disposeViz(viz);
+    });
+    this.legVizs = [];
+  }
+
+  /**
+   * Remove the viz of the composition from the scene, and garbage collect
+   * them.
+   */
+  removeCompositionVizFromScene() {
+    this.compositionVizs.forEach((viz) => {
+      if (this.usingScene) {
+        this.scene.remove(viz);
+      }
+      disposeViz(viz);
+    });
+    this.compositionVizs = [];
+    this.composition = undefined;
+  }
+
+  /**
+   * Show the axes of two screws and of their composition, with the common
+   * normals between them, see Screw.compose. The screws are in the fixed
+   * frame. This replaces any previous composition.
+   * @param {Screw} first
+   * @param {Screw} second
+   */
+  showComposition(first, second) {
+    this.removeCompositionVizFromScene();
+    this.composition = Screw.compose(first, second);
+    const { screw, commonNormals } = this.composition;
+
+    [first, second, screw].forEach((axisScrew, i) => {
+      const viz = axisScrew.getAxisThreeViz(COMPOSITION_AXIS_VIZ_COLORS[i]);
+      setThreeObjectPoseFromThreeTransform(viz, axisScrew.getVizThreeTransform());
+      this.compositionVizs.push(viz);
+    });
+    // the sides of the screw triangle, already in the fixed frame
+    commonNormals.forEach(({ foot, otherFoot }) => {
+      this.compositionVizs.push(getSegmentThreeViz(foot, otherFoot, COMMON_NORMAL_VIZ_COLOR));
+    });
+
+    if (this.usingScene) {
+      this.compositionVizs.forEach((viz) => this.scene.add(viz));
+    }
+  }
+
+  /**
+   * Remove the viz of the inverse kinematics solve from the scene, and garbage
+   * collect them.
+   */
+  removeInverseKinematicsVizFromScene() {
+    this.inverseKinematicsVizs.forEach((viz) => {
+      if (this.usingScene) {
+        this.scene.remove(viz);
+      }
+      disposeViz(viz);
+    });
+    this.inverseKinematicsVizs = [];
+    this.inverseKinematics = undefined;
+    this.guiHelper.inverseKinematicsConverged = false;
+  }
+
+  /**
+   * Solve the inverse kinematics of an elbow manipulator to a target pose,
+   * see solveInverseKinematics, and show the links of the chain at the
+   * solution, with the end-effector pose of every iteration.
+   * This replaces any previous solve.
+   * @param {mathjs.Matrix} target
+   */
+  solveInverseKinematics(target) {
+    this.removeInverseKinematicsVizFromScene();
+    this.inverseKinematics = solveInverseKinematics(IK_CHAIN, target, IK_INITIAL_JOINT_VALUES);
+    const { transform, linkTransforms } = IK_CHAIN.forwardKinematics(
+      this.inverseKinematics.jointValues,
+    );
+
+    // from the base, through the joints, to the end-effector
+    const points = [[0, 0, 0]].concat(
+      linkTransforms.map((linkTransform) => translationFromTransform(linkTransform)),
+      [translationFromTransform(transform)],
+    );
+    points.slice(1).forEach((point, i) => {
+      this.inverseKinematicsVizs.push(getSegmentThreeViz(points[i], point, IK_CHAIN_VIZ_COLOR));
+    });
+    this.inverseKinematicsVizs.push(getHistoryThreeViz(this.inverseKinematics.history));
+
+    if (this.usingScene) {
+      this.inverseKinematicsVizs.forEach((viz) => this.scene.add(viz));
+    }
+    this.guiHelper.inverseKinematicsConverged = this.inverseKinematics.converged;
+  }
+
+  /**
+   * Set the first screw of compositions from the gui.
+   * @param {Screw} screw - in the fixed frame
+   */
+  setCompositionFirst(screw) {
+    this.compositionFirst = screw;
+    this.guiHelper.compositionFirstSet = true;
+  }
+
+  /**
+   * Show the composition of the first screw set from the gui, then the
+   * screw, see showComposition. Nothing is shown until the first screw is
+   * set.
+   * @param {Screw} screw - in the fixed frame
+   */
+  composeWith(screw) {
+    if (this.compositionFirst === undefined) {
+      return;
+    }
+    this.showComposition(this.compositionFirst, screw);
+  }
+
+  /**
+   * Remove the axode meshes from the scene, and garbage collect them.
+   */
+  removeAxodeVizFromScene() {
+    this.axodeVizs.forEach((viz) => {
+      if (this.usingScene) {
+        this.scene.remove(viz);
+      }
+      disposeViz(viz);
+    });
+    this.axodeVizs = [];
+    this.instantaneousAxes = undefined;
+    this.guiHelper.axodes = false;
+  }
+
+  /**
+   * Show the fixed and moving axodes of a sampled motion, see
+   * instantaneousScrewAxes. The moving axode is placed at the first pose, where
+   * it touches the fixed axode along the first instantaneous axis.
+   * This replaces any previous axodes.
+   * @param {Array} times - strictly increasing
+   * @param {Array} transforms - poses at times
+   * @param {string} scheme - see VELOCITY_SCHEMES, defaults to 'central'
+   */
+  showAxodes(times, transforms, scheme = 'central') {
+    this.removeAxodeVizFromScene();
+    this.instantaneousAxes = instantaneousScrewAxes(times, transforms, scheme);
+    const { fixed, moving } = getAxodeThreeMeshes(this.instantaneousAxes);
+    setThreeObjectPoseFromTransform(moving, transforms[0]);
+    this.axodeVizs = [fixed, moving];
+
+    if (this.usingScene) {
+      this.axodeVizs.forEach((viz) => this.scene.add(viz));
+    }
+    this.guiHelper.axodes = true;
+  }
+
+  /**
+   * Show the axodes of the sample motion, see rollingCylinderTransform.
+   */
+  showRollingAxodes() {
+    const times = Array.from(
+      { length: AXODE_SAMPLE_COUNT },
+      (value, i) => (i * AXODE_SAMPLE_ANGLE) / (AXODE_SAMPLE_COUNT - 1),
+    );
+    this.showAxodes(
+      times,
+      times.map((time) => rollingCylinderTransform(time, AXODE_SAMPLE_RADIUS)),
+    );
+  }
+
+  /**
+   * Remove the traces of the path comparison from the scene, and garbage
+   * collect them. This also hides the comparison axes and zeros the metrics.
+   */
+  removePathComparisonVizFromScene() {
+    this.pathComparisonVizs.forEach((viz) => {
+      if (this.usingScene) {
+        this.scene.remove(viz);
+      }
+      disposeViz(viz);
+    });
+    this.pathComparisonVizs = [];
+    this.pathComparison = undefined;
+    this.comparisonAxes.visible = false;
+    this.guiHelper.setPathMetrics(undefined);
+  }
+
+  /**
+   * Compare the path of the single move with the decoupled path, see
+   * comparePaths, and show the origin traces of both.
+   */
+  startPathComparison() {
+    this.pathComparison = comparePaths(identity(4), this.moveScrew);
+    this.pathComparisonVizs = [
+      getTraceThreeViz(this.pathComparison.screw.transforms, SCREW_TRACE_COLOR),
+      getTraceThreeViz(this.pathComparison.decoupled.transforms, DECOUPLED_TRACE_COLOR),
+    ];
+    if (this.usingScene) {
+      this.pathComparisonVizs.forEach((viz) => this.scene.add(viz));
+    }
+    this.guiHelper.setPathMetrics(this.pathComparison);
+    setThreeObjectPoseFromTransform(this.comparisonAxes, identity(4));
+    this.comparisonAxes.visible = true;
+  }
+
+  /**
+   * Update the comparison axes pose, at the same fraction of the decoupled
+   * path as the magnitude is of the screw.
+   * @param {number} magnitude - along this.moveScrew
+   */
+  animatePathComparison(magnitude) {
+    if (this.pathComparison === undefined) {
+      return;
+    }
+    const fraction = isZero(this.moveScrew.magnitude) ? 1 : magnitude / this.moveScrew.magnitude;
+    const { transforms } = this.pathComparison.decoupled;
+    setThreeObjectPoseFromTransform(
+      this.comparisonAxes,
+      decoupledTransformAt(transforms[0], transforms[transforms.length - 1], fraction),
+    );
+  }
+
+  /**
+   * Drive the ref axes with a rigid body simulation, from the next animate()
+   * call, in real time. This stops an ongoing move.
+   * @param {RigidBody} rigidBody - advanced in place
+   */
+  simulateRigidBody(rigidBody) {
+    this.rigidBody = rigidBody;
+    this.rigidBodyTime = undefined;
+    this.moveRequested = false;
+    this.moveDone = true;
+    this.legs = undefined;
+    this.legIndex = undefined;
+    this.removePathComparisonVizFromScene();
+    this.guiHelper.enableAllControllers(true);
+    setThreeObjectPoseFromTransform(this.refAxes, rigidBody.transform);
+  }
+
+  /**
+   * Advance the rigid body to the clock time, and update the ref axes pose.
+   * @param {number} time
+   */
+  animateRigidBody(time) {
+    if (!(this.rigidBodyTime === undefined)) {
+      const elapsed = Math.min(time - this.rigidBodyTime, RIGID_BODY_MAX_FRAME_TIME);
+      this.rigidBody.advance(elapsed, RIGID_BODY_MAX_TIME_STEP);
+    }
+    this.rigidBodyTime = time;
+    setThreeObjectPoseFromTransform(this.refAxes, this.rigidBody.transform);
+  }
+
+  /**
+   * Start a move through the waypoints, from the default pose.
+   * Each leg takes as long as a constant speed move along its screw, with
+   * the time scaling profile selected in the gui.
+   * @param {number} time
+   */
+  startWaypointMove(time) {
+    this.removeVizFromScene();
+    // Viz of a single move are gone, so the next single move should add them
+    // even for the same screw.
+    this.prevScrew = this.defaultScrew;
+
+    this.legs = getWaypointLegs(this.defaultScrew.getTransform(), this.waypoints).map(
+      (leg) => {
+        const { screw } = leg;
+        const duration = isZero(screw.magnitude) ? 0 : screw.magnitude / getScrewSpeed(screw);
+        return {
+          ...leg,
+          timeScaling: screw.getTimeScaling(this.guiHelper.timeScalingProfile, { duration }),
+        };
+      },
+    );
+
+    this.legs.forEach(({ start, screw }) => {
+      if (isZero(screw.magnitude)) {
+        return;
+      }
+
+      // the screw viz transform is in the frame of the leg start
+      const vizTransform = mathToThreeTransform(start)
+        .multiply(screw.getVizThreeTransform());
+      const vizs = [screw.getAxisThreeViz()];
+      if (!screw.axis.passesThroughOrigin()) {
+        vizs.push(screw.getHelixThreeViz());
+      }
+      vizs.forEach((viz) => {
+        setThreeObjectPoseFromThreeTransform(viz, vizTransform);
+        if (this.usingScene) {
+          this.scene.add(viz);
+        }
+        this.legVizs.push(viz);
+      });
+    });
+
+    this.legIndex = 0;
+    this.moveStartTime = time;
+  }
+
+  /**
+   * Update the ref axes pose along the waypoint legs.
+   * @param {number} time
+   */
+  animateWaypointMove(time) {
+    let leg = this.legs[this.legIndex];
+    let elapsed = time - this.moveStartTime;
+    // move on to the next leg, possibly several if a frame was slow
+    while (elapsed >= leg.timeScaling.duration && this.legIndex < this.legs.length - 1) {
+      elapsed -= leg.timeScaling.duration;
+      this.moveStartTime += leg.timeScaling.duration;
+      this.legIndex += 1;
+      leg = this.legs[this.legIndex];
+    }
+
+    let { magnitude } = leg.screw;
+    if (elapsed >= leg.timeScaling.duration) {
+      this.moveDone = true;
+      // re-enable the gui inputs
+      this.guiHelper.enableAllControllers(true);
+    } else {
+      magnitude = leg.timeScaling.evaluate(elapsed).position;
+    }
+    setThreeObjectPoseFromTransform(
+      this.refAxes,
+      multiply(leg.start, leg.screw.getTransformAtMagnitude(magnitude)),
+    );
   }
 
   /**
@@ -144,33 +650,50 @@ export default class Application {
    * @param {number} time
    */
   animate(time) {
-    if (this.moveRequested) {
+    if (!(this.rigidBody === undefined)) {
+      this.animateRigidBody(time);
+    } else if (this.moveRequested) {
       // reset state so as not to toggle N times
       this.moveRequested = false;
       this.moveDone = false;
 
       // set the refAxes to default pose
       setThreeObjectPoseFromScrew(this.refAxes, this.defaultScrew);
+      // paths are compared for single moves only
+      this.removePathComparisonVizFromScene();
 
-      const newScrew = !this.prevScrew.valuesEqualTo(this.screw);
-      const zeroScrew = equal(this.screw.magnitude, 0);
+      if (this.waypoints.length > 0) {
+        this.startWaypointMove(time);
+        return;
+      }
+      this.legs = undefined;
+      this.legIndex = undefined;
+      this.removeLegVizFromScene();
+
+      // the equivalent screw selected in the gui, with the same end pose
+      this.moveScrew = this.screw.equivalentScrew(
+        this.guiHelper.screwWinding,
+        this.guiHelper.screwLongWay,
+      );
+      const newScrew = !this.prevScrew.valuesEqualTo(this.moveScrew);
+      const zeroScrew = isZero(this.moveScrew.magnitude);
 
       if (newScrew && !zeroScrew) {
         // Remove the existing viz. It may have already been removed via a reset.
         this.removeVizFromScene();
 
         // threejs.Matrix4
-        const vizTransform = this.screw.getVizThreeTransform();
+        const vizTransform = this.moveScrew.getVizThreeTransform();
 
         // update axis viz
-        this.axisViz = this.screw.getAxisThreeViz();
+        this.axisViz = this.moveScrew.getAxisThreeViz();
         setThreeObjectPoseFromThreeTransform(this.axisViz, vizTransform);
         if (this.usingScene) {
           this.scene.add(this.axisViz);
         }
         // add helix viz only if screw axis is offset from origin
-        if (!this.screw.axis.passesThroughOrigin()) {
-          this.helixViz = this.screw.getHelixThreeViz();
+        if (!this.moveScrew.axis.passesThroughOrigin()) {
+          this.helixViz = this.moveScrew.getHelixThreeViz();
           setThreeObjectPoseFromThreeTransform(this.helixViz, vizTransform);
           if (this.usingScene) {
             this.scene.add(this.helixViz);
@@ -178,22 +701,35 @@ export default class Application {
         }
       }
 
+      if (this.guiHelper.comparePaths) {
+        this.startPathComparison();
+      }
+
       // store screw into prevScrew
-      this.prevScrew = this.screw;
+      this.prevScrew = this.moveScrew;
       this.moveStartTime = time;
+      // Every profile takes as long as the constant speed move.
+      this.timeScaling = this.moveScrew.getTimeScaling(
+        this.guiHelper.timeScalingProfile,
+        { duration: zeroScrew ? 0 : this.moveScrew.magnitude / getScrewSpeed(this.moveScrew) },
+      );
+    } else if (!this.moveDone && !(this.legs === undefined)) {
+      this.animateWaypointMove(time);
     } else if (!this.moveDone) {
       const elapsed = time - this.moveStartTime;
-      const magnitude = this.screwSpeed * elapsed;
-      if (magnitude >= this.screw.magnitude) {
+      const magnitude = this.timeScaling.evaluate(elapsed).position;
+      if (elapsed >= this.timeScaling.duration) {
         this.moveDone = true;
 
         // Set the ref axis at the end pose.
-        setThreeObjectPoseFromScrew(this.refAxes, this.screw, this.screw.magnitude);
+        setThreeObjectPoseFromScrew(this.refAxes, this.moveScrew, this.moveScrew.magnitude);
+        this.animatePathComparison(this.moveScrew.magnitude);
 
         // re-enable the gui inputs
         this.guiHelper.enableAllControllers(true);
       } else {
-        setThreeObjectPoseFromScrew(this.refAxes, this.screw, magnitude);
+        setThreeObjectPoseFromScrew(this.refAxes, this.moveScrew, magnitude);
+        this.animatePathComparison(magnitude);
       }
     }
     // else, move is done, and there is nothing to do
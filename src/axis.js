@@ -1,7 +1,15 @@
 import {
-  dot, norm, equal, multiply,
+  dot, norm, multiply, cross, subtract, add,
 } from 'mathjs';
-import { normalizeVector } from './util';
+import {
+  normalizeVector, getSegmentThreeViz,
+  rotationMatrixFromTransform, translationFromTransform,
+} from './util';
+import { isZero, isClose } from './tolerance';
+import Twist from './twist';
+
+// orange color
+export const COMMON_NORMAL_VIZ_COLOR = 0xFF8C00;
 
 export default class Axis {
   /**
@@ -12,7 +20,7 @@ export default class Axis {
    */
   constructor(point, direction) {
     this.point = point;
-    if (equal(norm(direction), 0)) {
+    if (isZero(norm(direction))) {
       throw new Error(`Input direction has zero norm: ${direction}`);
     }
     this.direction = normalizeVector(direction);
@@ -46,7 +54,7 @@ export default class Axis {
    * @return {bool} true if point is on axis
    */
   containsPoint(point) {
-    return equal(this.distanceToPoint(point), 0);
+    return isZero(this.distanceToPoint(point));
   }
 
   /**
@@ -57,9 +65,9 @@ export default class Axis {
   equalTo(other) {
     // The constructor normalizes, so we are checking values directly.
     const directionEqual = (
-      equal(this.direction[0], other.direction[0])
-        && equal(this.direction[1], other.direction[1])
-        && equal(this.direction[2], other.direction[2])
+      isClose(this.direction[0], other.direction[0], 'angle')
+        && isClose(this.direction[1], other.direction[1], 'angle')
+        && isClose(this.direction[2], other.direction[2], 'angle')
     );
 
     if (!directionEqual) {
@@ -83,12 +91,176 @@ export default class Axis {
     ];
   }
 
+  /**
+   * Common normal of this axis and another, the shortest segment between
+   * them, see e.g. Lynch and Park, Modern Robotics, Appendix C for its use in
+   * Denavit-Hartenberg parameters.
+   * For parallel axes the common normal is not unique, the one through
+   * this.point is returned.
+   * @param {Axis} other
+   * @return {Object} with fields
+   *     relation: {string} 'coincident', 'parallel', 'intersecting' or 'skew',
+   *     foot: {Array} end of the common normal on this axis,
+   *     otherFoot: {Array} end of the common normal on the other axis,
+   *     direction: {Array or undefined} unit direction of the common normal,
+   *         this.direction x other.direction normalized if the axes are not
+   *         parallel, else from foot to otherFoot, undefined if coincident,
+   *     distance: {number} signed distance from foot to otherFoot along
+   *         direction, non-negative for parallel axes,
+   *     angle: {number} twist angle from this direction to the other
+   *         direction about the common normal direction, in [0, pi]
+   */
+  commonNormal(other) {
+    const offset = subtract(other.point, this.point);
+    const directionCross = cross(this.direction, other.direction);
+    const crossNorm = norm(directionCross);
+    const angle = Math.atan2(crossNorm, dot(this.direction, other.direction));
+
+    if (isZero(crossNorm, 'angle')) {
+      // component of the offset normal to both axes
+      const normal = subtract(offset, multiply(dot(offset, this.direction), this.direction));
+      const distance = norm(normal);
+      if (isZero(distance)) {
+        return {
+          relation: 'coincident',
+          foot: this.point,
+          otherFoot: this.point,
+          direction: undefined,
+          distance: 0,
+          angle,
+        };
+      }
+      return {
+        relation: 'parallel',
+        foot: this.point,
+        otherFoot: add(this.point, normal),
+        direction: multiply(1 / distance, normal),
+        distance,
+        angle,
+      };
+    }
+
+    const direction = multiply(1 / crossNorm, directionCross);
+    const distance = dot(offset, direction);
+    // Parameters of the feet along each axis, from
+    // offset = lambda this.direction - mu other.direction + distance direction.
+    const crossNormSquared = crossNorm * crossNorm;
+    const lambda = dot(cross(offset, other.direction), directionCross) / crossNormSquared;
+    const mu = dot(cross(offset, this.direction), directionCross) / crossNormSquared;
+    return {
+      relation: isZero(distance) ? 'intersecting' : 'skew',
+      foot: add(this.point, multiply(lambda, this.direction)),
+      otherFoot: add(other.point, multiply(mu, other.direction)),
+      direction,
+      distance,
+      angle,
+    };
+  }
+
+  /**
+   * Shortest distance between this axis and another.
+   * @param {Axis} other
+   * @return {float} non-negative
+   */
+  distanceToAxis(other) {
+    return Math.abs(this.commonNormal(other).distance);
+  }
+
+  /**
+   * Intersection of this axis and another, or a point on both if they
+   * coincide.
+   * @param {Axis} other
+   * @return {Array or undefined} point, undefined if the axes do not meet
+   */
+  intersection(other) {
+    const { relation, foot } = this.commonNormal(other);
+    if (relation === 'parallel' || relation === 'skew') {
+      return undefined;
+    }
+    return foot;
+  }
+
+  /**
+   * Segment of the common normal with another axis, or a sphere at the
+   * intersection if the axes meet.
+   * @param {Axis} other
+   * @param {number} color
+   * @return {threejs.Mesh} in the frame of the axes
+   */
+  getCommonNormalThreeViz(other, color = COMMON_NORMAL_VIZ_COLOR) {
+    const { foot, otherFoot } = this.commonNormal(other);
+    return getSegmentThreeViz(foot, otherFoot, color);
+  }
+
+  /**
+   * This axis after a rigid transform, the point is transformed as a point,
+   * and the direction is rotated.
+   * @param {mathjs.Matrix} transform
+   * @return {Axis}
+   */
+  transformedBy(transform) {
+    const R = rotationMatrixFromTransform(transform);
+    return new Axis(
+      add(multiply(R, this.point), translationFromTransform(transform)).toArray(),
+      multiply(R, this.direction).toArray(),
+    );
+  }
+
+  /**
+   * Plucker coordinates of the line, the moment is about the origin.
+   * @return {Object} with fields
+   *     direction: {Array} unit direction,
+   *     moment: {Array} point x direction, normal to direction
+   */
+  getPluckerCoordinates() {
+    return {
+      direction: this.direction.slice(),
+      moment: cross(this.point, this.direction),
+    };
+  }
+
+  /**
+   * Plucker coordinates of this line after a rigid transform,
+   * direction' = R direction and moment' = R moment + p x R direction.
+   * This is the adjoint acting on the coordinates of a unit twist.
+   * @param {mathjs.Matrix} transform
+   * @return {Object} with fields direction, moment, see getPluckerCoordinates
+   */
+  getTransformedPluckerCoordinates(transform) {
+    const { direction, moment } = this.getPluckerCoordinates();
+    const transformed = new Twist(moment, direction).adjoint(transform);
+    return { direction: transformed.angular, moment: transformed.linear };
+  }
+
+  /**
+   * The coordinates are homogeneous, they are scaled so the direction has
+   * unit norm. The point is the one closest to the origin,
+   * direction x moment / |direction|^2.
+   * @param {Array} direction - non-zero norm
+   * @param {Array} moment - normal to direction
+   * @return {Axis}
+   */
+  static fromPluckerCoordinates(direction, moment) {
+    const directionNorm = norm(direction);
+    if (isZero(directionNorm)) {
+      throw new Error(`Plucker direction has zero norm: ${direction}`);
+    }
+    // The Plucker condition, a moment along the direction is not a line.
+    const directionDotMoment = dot(direction, moment) / directionNorm;
+    if (!isZero(directionDotMoment)) {
+      throw new Error(`Plucker moment: ${moment} is not normal to direction: ${direction}, the component along it is ${directionDotMoment}.`);
+    }
+
+    const point = multiply(1 / (directionNorm * directionNorm), cross(direction, moment));
+    return new Axis(point, direction);
+  }
+
   /**
    * Returns True if axis passes through origin,
    * convenience method.
    * @return {bool}
    */
   passesThroughOrigin() {
-    return equal(this.distanceToPoint([0, 0, 0]), 0);
+    return isZero(this.distanceToPoint([0, 0, 0]));
   }
 }
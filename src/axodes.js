@@ -0,0 +1,150 @@
+import {
+  dot, add, subtract, multiply,
+} from 'mathjs';
+import {
+  BufferGeometry, Float32BufferAttribute, MeshBasicMaterial, Mesh, DoubleSide,
+} from 'three';
+
+import { estimateVelocities } from './velocity_estimation';
+import Screw from './screw';
+
+// The fixed and moving axodes are drawn in different colors, so that where
+// they touch along the instantaneous axis is visible: ocean blue and coral.
+export const FIXED_AXODE_COLOR = 0x0077C8;
+export const MOVING_AXODE_COLOR = 0xFF6A39;
+
+// Length of the rulings drawn, centered on the curve the surface is built
+// from.
+const DEFAULT_AXODE_LENGTH = 4;
+
+/**
+* The instantaneous screw axis at every sample of a motion, see
+* estimateVelocities for the schemes.
+* The axes over time trace the fixed axode, in the fixed frame, and the moving
+* axode, in the frame of the moving body. The motion rolls and slides the
+* moving axode on the fixed one, touching it along the instantaneous axis.
+* At instants of pure translation, or no motion, the axis is at infinity, or
+* undefined, and both axes are undefined.
+* @param {Array} times - strictly increasing
+* @param {Array} transforms - poses at times, see estimateVelocities
+* @param {string} scheme - see VELOCITY_SCHEMES, defaults to 'central'
+* @return {Array} for each sample, an Object with fields
+*     time: {number},
+*     screw: {Screw} instantaneous screw in the fixed frame, the magnitude is
+*         the speed,
+*     fixedAxis: {Axis or undefined} in the fixed frame,
+*     movingAxis: {Axis or undefined} in the body frame
+*/
+export function instantaneousScrewAxes(times, transforms, scheme = 'central') {
+  return estimateVelocities(times, transforms, scheme).map(({ time, body, screw }) => {
+    const hasAxis = !screw.isPureTranslation;
+    return {
+      time,
+      screw,
+      fixedAxis: hasAxis ? screw.axis : undefined,
+      movingAxis: hasAxis ? Screw.fromTwist(body).axis : undefined,
+    };
+  });
+}
+
+/**
+* Same as instantaneousScrewAxes, for a motion given as a function of time.
+* The velocity at each time is from central differences over a small step.
+* @param {function} motion - arguments: (time), returns the pose as in
+*     instantaneousScrewAxes
+* @param {Array} times - where the axes are evaluated
+* @param {number} step - positive, of the central differences, defaults to 1e-5
+* @return {Array} see instantaneousScrewAxes
+*/
+export function instantaneousScrewAxesOfMotion(motion, times, step = 1e-5) {
+  if (!(step > 0)) {
+    throw new Error(`Step: ${step} must be positive.`);
+  }
+
+  return times.map((time) => {
+    const stencil = [time - step, time, time + step];
+    return instantaneousScrewAxes(stencil, stencil.map(motion))[1];
+  });
+}
+
+/**
+* Ruled surface through a sequence of axes. Each axis is drawn as a ruling of
+* the given length, centered on the point of the axis closest to the center of
+* the previous ruling, so that consecutive rulings are close. The first is
+* centered on the point closest to the origin. Directions are flipped as needed
+* to keep consecutive rulings aligned.
+* Undefined axes, see instantaneousScrewAxes, leave a gap in the surface.
+* @param {Array} axes - Axis or undefined
+* @param {number} color
+* @param {number} length - of the rulings
+* @return {threejs.Mesh} in the frame of the axes
+*/
+export function getAxodeThreeMesh(axes, color, length = DEFAULT_AXODE_LENGTH) {
+  const positions = [];
+  const indices = [];
+  // center and direction of the previous ruling, and its first vertex index
+  let previous;
+
+  axes.forEach((axis) => {
+    if (axis === undefined) {
+      previous = undefined;
+      return;
+    }
+
+    let center;
+    let { direction } = axis;
+    if (previous === undefined) {
+      center = axis.getClosestPointToOrigin();
+    } else {
+      // project the previous center onto this axis
+      const along = dot(subtract(previous.center, axis.point), axis.direction);
+      center = add(axis.point, multiply(along, axis.direction));
+      if (dot(direction, previous.direction) < 0) {
+        direction = multiply(-1, direction);
+      }
+    }
+
+    const vertex = positions.length / 3;
+    [-0.5, 0.5].forEach((fraction) => {
+      center.forEach((element, i) => positions.push(element + fraction * length * direction[i]));
+    });
+    if (!(previous === undefined)) {
+      // two triangles between the previous ruling and this one
+      const p = previous.vertex;
+      indices.push(p, p + 1, vertex, p + 1, vertex + 1, vertex);
+    }
+    previous = { center, direction, vertex };
+  });
+
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  const material = new MeshBasicMaterial({
+    color, side: DoubleSide, transparent: true, opacity: 0.5,
+  });
+  return new Mesh(geometry, material);
+}
+
+/**
+* Meshes of both axodes.
+* @param {Array} instantaneousAxes - from instantaneousScrewAxes
+* @param {number} length - of the rulings, see getAxodeThreeMesh
+* @return {Object} with fields
+*     fixed: {threejs.Mesh} in the fixed frame,
+*     moving: {threejs.Mesh} in the body frame, place it at a pose of the
+*         motion to see it touch the fixed axode
+*/
+export function getAxodeThreeMeshes(instantaneousAxes, length = DEFAULT_AXODE_LENGTH) {
+  return {
+    fixed: getAxodeThreeMesh(
+      instantaneousAxes.map(({ fixedAxis }) => fixedAxis),
+      FIXED_AXODE_COLOR,
+      length,
+    ),
+    moving: getAxodeThreeMesh(
+      instantaneousAxes.map(({ movingAxis }) => movingAxis),
+      MOVING_AXODE_COLOR,
+      length,
+    ),
+  };
+}
@@ -0,0 +1,289 @@
+import {
+  identity, norm, sin, cos, cross,
+} from 'mathjs';
+import { Quaternion } from 'three';
+
+import {
+  threeQuaternionFromTransform, translationFromTransform,
+  setTransformTranslation, setTransformRotation,
+  rotationMatrixFromThreeQuaternion, normalizeVector,
+} from './util';
+import { isZero } from './tolerance';
+import Axis from './axis';
+import Screw from './screw';
+
+/**
+* @param {three.Quaternion} quaternion
+* @param {number} scale
+* @return {three.Quaternion} new quaternion
+*/
+function scaleQuaternion(quaternion, scale) {
+  return new Quaternion(
+    quaternion.x * scale,
+    quaternion.y * scale,
+    quaternion.z * scale,
+    quaternion.w * scale,
+  );
+}
+
+/**
+* @param {three.Quaternion} quaternion1
+* @param {three.Quaternion} quaternion2
+* @return {three.Quaternion} new quaternion
+*/
+function addQuaternions(quaternion1, quaternion2) {
+  return new Quaternion(
+    quaternion1.x + quaternion2.x,
+    quaternion1.y + quaternion2.y,
+    quaternion1.z + quaternion2.z,
+    quaternion1.w + quaternion2.w,
+  );
+}
+
+/**
+* @param {three.Quaternion} quaternion1
+* @param {three.Quaternion} quaternion2
+* @return {three.Quaternion} new quaternion, the product quaternion1 quaternion2
+*/
+function multiplyQuaternions(quaternion1, quaternion2) {
+  return new Quaternion().multiplyQuaternions(quaternion1, quaternion2);
+}
+
+export default class DualQuaternion {
+  /**
+   * Dual quaternion real + epsilon dual, with epsilon^2 = 0.
+   * Unit dual quaternions represent rigid body transforms.
+   * @param {three.Quaternion} real - defaults to identity
+   * @param {three.Quaternion} dual - defaults to zero
+   */
+  constructor(real = new Quaternion(0, 0, 0, 1), dual = new Quaternion(0, 0, 0, 0)) {
+    this.real = real;
+    this.dual = dual;
+  }
+
+  /**
+   * Returns a new dual quaternion, the product this other.
+   * @param {DualQuaternion} other
+   * @return {DualQuaternion}
+   */
+  multiply(other) {
+    return new DualQuaternion(
+      multiplyQuaternions(this.real, other.real),
+      addQuaternions(
+        multiplyQuaternions(this.real, other.dual),
+        multiplyQuaternions(this.dual, other.real),
+      ),
+    );
+  }
+
+  /**
+   * Returns a new dual quaternion, conjugating both real and dual parts.
+   * For a unit dual quaternion this is the inverse.
+   * @return {DualQuaternion}
+   */
+  conjugate() {
+    return new DualQuaternion(
+      this.real.clone().conjugate(),
+      this.dual.clone().conjugate(),
+    );
+  }
+
+  /**
+   * Returns a new unit dual quaternion. The real part is scaled to unit norm,
+   * and the dual part made orthogonal to it.
+   * If the real part is zero, returns identity.
+   * @return {DualQuaternion}
+   */
+  normalize() {
+    const realNorm = this.real.length();
+    if (isZero(realNorm)) {
+      return new DualQuaternion();
+    }
+
+    const real = scaleQuaternion(this.real, 1 / realNorm);
+    let dual = scaleQuaternion(this.dual, 1 / realNorm);
+    dual = addQuaternions(dual, scaleQuaternion(real, -real.dot(dual)));
+    return new DualQuaternion(real, dual);
+  }
+
+  /**
+   * @param {mathjs.Matrix} transform
+   * @return {DualQuaternion}
+   */
+  static fromTransform(transform) {
+    const real = threeQuaternionFromTransform(transform);
+    const translation = translationFromTransform(transform);
+    const dual = scaleQuaternion(
+      multiplyQuaternions(new Quaternion(...translation, 0), real),
+      0.5,
+    );
+    return new DualQuaternion(real, dual);
+  }
+
+  /**
+   * The dual quaternion is normalized first.
+   * @return {mathjs.Matrix} transform
+   */
+  getTransform() {
+    const unit = this.normalize();
+    const translation = scaleQuaternion(
+      multiplyQuaternions(unit.dual, unit.real.clone().conjugate()),
+      2,
+    );
+
+    let g = identity(4);
+    g = setTransformRotation(g, rotationMatrixFromThreeQuaternion(unit.real));
+    g = setTransformTranslation(g, [translation.x, translation.y, translation.z]);
+    return g;
+  }
+
+  /**
+   * Dual quaternion cos(theta'/2) + sin(theta'/2) (direction + epsilon moment),
+   * where theta' = angle + epsilon translation.
+   * @param {number} angle - rotation about the axis
+   * @param {number} translation - translation along the axis
+   * @param {Array} direction - unit axis direction
+   * @param {Array} moment - axis moment, point x direction
+   * @return {DualQuaternion}
+   */
+  static fromScrewParameters(angle, translation, direction, moment) {
+    const sinHalf = sin(angle / 2);
+    const cosHalf = cos(angle / 2);
+    const halfTranslation = translation / 2;
+
+    return new DualQuaternion(
+      new Quaternion(...direction.map((e) => sinHalf * e), cosHalf),
+      new Quaternion(
+        ...direction.map((e, i) => sinHalf * moment[i] + halfTranslation * cosHalf * e),
+        -halfTranslation * sinHalf,
+      ),
+    );
+  }
+
+  /**
+   * Inverse of fromScrewParameters, for the normalized dual quaternion.
+   * The sign is chosen so that the angle is in [0, pi]. If the angle is zero,
+   * the direction is along the translation, and the moment is zero.
+   * @return {Object} with fields angle, translation, direction, moment
+   */
+  getScrewParameters() {
+    let unit = this.normalize();
+    if (unit.real.w < 0) {
+      unit = new DualQuaternion(
+        scaleQuaternion(unit.real, -1),
+        scaleQuaternion(unit.dual, -1),
+      );
+    }
+
+    const realVector = [unit.real.x, unit.real.y, unit.real.z];
+    const sinHalf = norm(realVector);
+    const angle = 2 * Math.atan2(sinHalf, unit.real.w);
+
+    if (isZero(sinHalf, 'angle')) {
+      // pure translation, or identity
+      const t = multiplyQuaternions(unit.dual, unit.real.clone().conjugate());
+      const translationVector = [2 * t.x, 2 * t.y, 2 * t.z];
+      const translation = norm(translationVector);
+      let direction = [0, 0, 1];
+      if (!isZero(translation)) {
+        direction = normalizeVector(translationVector);
+      }
+      return {
+        angle: 0, translation, direction, moment: [0, 0, 0],
+      };
+    }
+
+    const direction = realVector.map((e) => e / sinHalf);
+    const translation = (-2 * unit.dual.w) / sinHalf;
+    const dualVector = [unit.dual.x, unit.dual.y, unit.dual.z];
+    const moment = dualVector.map(
+      (e, i) => (e - (translation / 2) * unit.real.w * direction[i]) / sinHalf,
+    );
+    return {
+      angle, translation, direction, moment,
+    };
+  }
+
+  /**
+   * @param {Screw} screw
+   * @param {float} inputMagnitude - if undefined, use screw magnitude
+   * @return {DualQuaternion}
+   */
+  static fromScrew(screw, inputMagnitude) {
+    let magnitude = inputMagnitude;
+    if (magnitude === undefined) {
+      magnitude = screw.magnitude;
+    }
+
+    const { direction } = screw.axis;
+    if (screw.isPureTranslation) {
+      return DualQuaternion.fromScrewParameters(0, magnitude, direction, [0, 0, 0]);
+    }
+
+    return DualQuaternion.fromScrewParameters(
+      magnitude,
+      screw.pitch * magnitude,
+      direction,
+      cross(screw.axis.point, direction),
+    );
+  }
+
+  /**
+   * Screw with the axis point closest to origin.
+   * @return {Screw}
+   */
+  toScrew() {
+    const {
+      angle, translation, direction, moment,
+    } = this.getScrewParameters();
+
+    if (isZero(angle, 'angle')) {
+      return new Screw(new Axis([0, 0, 0], direction), Infinity, translation);
+    }
+
+    return new Screw(
+      new Axis(cross(direction, moment), direction),
+      translation / angle,
+      angle,
+    );
+  }
+
+  /**
+   * Returns a new dual quaternion, scaling the screw motion of this.
+   * @param {number} exponent
+   * @return {DualQuaternion}
+   */
+  pow(exponent) {
+    const {
+      angle, translation, direction, moment,
+    } = this.getScrewParameters();
+    return DualQuaternion.fromScrewParameters(
+      exponent * angle,
+      exponent * translation,
+      direction,
+      moment,
+    );
+  }
+
+  /**
+   * Screw linear interpolation, start (start^* end)^t.
+   * The end sign is flipped if needed, so that the interpolation takes the
+   * shorter rotation.
+   * @param {DualQuaternion} start
+   * @param {DualQuaternion} end
+   * @param {number} t - between [0, 1]
+   * @return {DualQuaternion}
+   */
+  static sclerp(start, end, t) {
+    const startUnit = start.normalize();
+    let endUnit = end.normalize();
+    if (startUnit.real.dot(endUnit.real) < 0) {
+      endUnit = new DualQuaternion(
+        scaleQuaternion(endUnit.real, -1),
+        scaleQuaternion(endUnit.dual, -1),
+      );
+    }
+
+    return startUnit.multiply(startUnit.conjugate().multiply(endUnit).pow(t));
+  }
+}
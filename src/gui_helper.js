@@ -1,23 +1,30 @@
 import {
-  identity, equal, norm, sqrt, max,
+  identity, norm, sqrt, max, dot,
 } from 'mathjs';
 import {
   Quaternion,
 } from 'three';
 import {
-  threeQuaternionFromTransform,
+  threeQuaternionFromTransform, threeQuaternionFromRotationMatrix,
   setTransformTranslation, translationFromTransform,
   setTransformRotation, rotationMatrixFromThreeQuaternion,
+  EULER_SEQUENCES, rotationMatrixFromEulerAngles, eulerAnglesFromRotationMatrix,
+  rotationMatrixFromAxisAngle, axisAngleFromRotationMatrix, deg2rad, rad2deg,
 } from './util';
+import { isZero, isClose } from './tolerance';
 import Screw from './screw';
 import Twist from './twist';
 import Axis from './axis';
+import DualQuaternion from './dual_quaternion';
+import { TIME_SCALING_PROFILES } from './time_scaling';
+import { RIGID_BODY_PRESETS } from './rigid_body';
 
 // The pose representations in the gui.
-const REPRESENTATIONS = ['transform', 'twist', 'screw'];
+const REPRESENTATIONS = ['transform', 'twist', 'screw', 'dualQuaternion'];
 
 const DIMS = ['x', 'y', 'z'];
 const DIM_INDICES = [0, 1, 2];
+const QUATERNION_DIMS = ['x', 'y', 'z', 'w'];
 
 // Component maps, defined for each representation, will be used as
 // trees. Internal nodes are components, and leaf nodes are indicated with the
@@ -27,8 +34,29 @@ const TRANSFORM_COMPONENT_MAP = new Map([
   ['position', new Map([['x', true], ['y', true], ['z', true]])],
   // key, value pair
   ['quaternion', new Map([['x', true], ['y', true], ['z', true], ['w', true]])],
+  // key, value pair, angles in degrees, in the order of the euler sequence
+  ['euler', new Map([['alpha', true], ['beta', true], ['gamma', true]])],
+  // key, value pair, angles in degrees, about fixed x, y, z axes
+  ['rpy', new Map([['roll', true], ['pitch', true], ['yaw', true]])],
+  // key, value pair, norm is the angle in radians
+  ['rotationVector', new Map([['x', true], ['y', true], ['z', true]])],
 ]);
 
+// Orientation inputs of the transform, other than quaternion. These are kept
+// in sync with the quaternion fields.
+const ORIENTATION_INPUTS = ['euler', 'rpy', 'rotationVector'];
+
+const EULER_ANGLES = ['alpha', 'beta', 'gamma'];
+const RPY_ANGLES = ['roll', 'pitch', 'yaw'];
+// roll, pitch, yaw are rotations about fixed x, y, z in turn
+const RPY_SEQUENCE = 'XYZ';
+const DEFAULT_EULER_SEQUENCE = 'ZYX';
+// constant speed, the motion before time scaling profiles were added
+const DEFAULT_TIME_SCALING_PROFILE = 'constant';
+const DEFAULT_RIGID_BODY_PRESET = 'precession';
+// upper limit of the winding input, more turns are hard to follow
+const MAX_SCREW_WINDING = 5;
+
 const TWIST_COMPONENT_MAP = new Map([
   // key, value pair
   ['linear', new Map([['x', true], ['y', true], ['z', true]])],
@@ -49,12 +77,32 @@ const SCREW_COMPONENT_MAP = new Map([
       ['direction', new Map([['x', true], ['y', true], ['z', true]])],
     ]),
   ],
+  // key, value pair, the axis as Plucker coordinates, kept in sync with the
+  // axis point and direction
+  [
+    // key
+    'plucker',
+    // value
+    new Map([
+      // key, value pair
+      ['direction', new Map([['x', true], ['y', true], ['z', true]])],
+      // key, value pair, about the origin
+      ['moment', new Map([['x', true], ['y', true], ['z', true]])],
+    ]),
+  ],
   // key, value pair
   ['pitch', true],
   // key, value pair
   ['magnitude', true],
 ]);
 
+const DUAL_QUATERNION_COMPONENT_MAP = new Map([
+  // key, value pair
+  ['real', new Map([['x', true], ['y', true], ['z', true], ['w', true]])],
+  // key, value pair
+  ['dual', new Map([['x', true], ['y', true], ['z', true], ['w', true]])],
+]);
+
 const REPRESENTATION_COMPONENT_MAP = new Map([
   // key, value pair
   ['transform', TRANSFORM_COMPONENT_MAP],
@@ -62,6 +110,8 @@ const REPRESENTATION_COMPONENT_MAP = new Map([
   ['twist', TWIST_COMPONENT_MAP],
   // key, value pair
   ['screw', SCREW_COMPONENT_MAP],
+  // key, value pair
+  ['dualQuaternion', DUAL_QUATERNION_COMPONENT_MAP],
 ]);
 
 /*
@@ -130,10 +180,15 @@ const SCREW_COMPONENT_LEAVES = getLeafNodePaths(
   SCREW_COMPONENT_MAP,
 );
 
+const DUAL_QUATERNION_LEAF_PATHS = getLeafNodePaths(
+  DUAL_QUATERNION_COMPONENT_MAP,
+);
+
 const REPRESENTATION_LEAF_PATHS_MAP = new Map([
   ['transform', TRANSFORM_LEAF_PATHS],
   ['twist', TWIST_LEAF_PATHS],
   ['screw', SCREW_COMPONENT_LEAVES],
+  ['dualQuaternion', DUAL_QUATERNION_LEAF_PATHS],
 ]);
 
 export const componentsToField = joinTokensCamelCase;
@@ -156,9 +211,9 @@ export function cleanQuaternion(qx, qy, qz, qw) {
   const inputVectorNorm = norm([qx, qy, qz]);
 
   // The case of 0 rotation.
-  if (equal(qw, 1)
-      || equal(qw, -1)
-      || equal(inputVectorNorm, 0)
+  if (isClose(qw, 1, 'angle')
+      || isClose(qw, -1, 'angle')
+      || isZero(inputVectorNorm, 'angle')
   ) {
     return new Quaternion(0, 0, 0, 1);
   }
@@ -167,7 +222,7 @@ export function cleanQuaternion(qx, qy, qz, qw) {
   const vectorNorm = sqrt(1 - qw ** 2.0);
 
   // Input is already a quaternion.
-  if (equal(inputVectorNorm, vectorNorm)) {
+  if (isClose(inputVectorNorm, vectorNorm, 'angle')) {
     return new Quaternion(qx, qy, qz, qw);
   }
 
@@ -176,6 +231,22 @@ export function cleanQuaternion(qx, qy, qz, qw) {
   return new Quaternion(qx * scale, qy * scale, qz * scale, qw);
 }
 
+/**
+* Clean user input to get Plucker coordinates of a line, by removing the
+* component of the moment along the direction.
+* @param {Array} direction
+* @param {Array} moment
+* @return {Array} moment normal to direction, as is for a zero direction
+*/
+export function cleanPluckerMoment(direction, moment) {
+  const directionNormSquared = dot(direction, direction);
+  if (isZero(sqrt(directionNormSquared))) {
+    return moment;
+  }
+  const scale = dot(direction, moment) / directionNormSquared;
+  return moment.map((element, index) => element - scale * direction[index]);
+}
+
 export class GuiHelper {
   /**
    * @param {Screw} defaultScrew - used for initial and reset input fields
@@ -185,19 +256,69 @@ export class GuiHelper {
    * @param {function} resetCallback - function to call when reset button is pressed
    * @param {function} resetViewCallback - function to call when reset view button is
    *     pressed
+   * @param {Object} callbacks - functions to call for the other controls, by
+   *     name, any can be left out
+   *     addWaypoint: add waypoint button, arguments: (Screw) of the transform
+   *         inputs,
+   *     clearWaypoints: clear waypoints button,
+   *     solveInverseKinematics: solve ik button, arguments: (Screw) of the
+   *         transform inputs,
+   *     setCompositionFirst: set first screw button, arguments: (Screw) of the
+   *         transform inputs,
+   *     compose: compose button, arguments: (Screw) of the transform inputs,
+   *     axodes: axodes checkbox changed, arguments: (bool) whether checked,
+   *     simulate: simulate button, arguments: (string) the selected rigid body
+   *         preset
    */
-  constructor(defaultScrew, inputCallback, moveCallback, resetCallback, resetViewCallback) {
+  constructor(
+    defaultScrew,
+    inputCallback,
+    moveCallback,
+    resetCallback,
+    resetViewCallback,
+    callbacks = {},
+  ) {
     this.defaultScrew = defaultScrew;
     this.inputCallback = inputCallback;
     this.moveCallback = moveCallback;
     this.resetCallback = resetCallback;
     this.resetViewCallback = resetViewCallback;
+    this.callbacks = { ...callbacks };
 
     // add a field for every leaf
     REPRESENTATION_LEAF_PATHS.forEach((elem) => {
       this[componentsToField(...elem)] = undefined;
     });
 
+    // euler angle convention, and gimbal lock flags
+    this[componentsToField('transform', 'euler', 'sequence')] = DEFAULT_EULER_SEQUENCE;
+    this[componentsToField('transform', 'euler', 'extrinsic')] = false;
+    this[componentsToField('transform', 'euler', 'gimbalLock')] = false;
+    this[componentsToField('transform', 'rpy', 'gimbalLock')] = false;
+
+    // time scaling of the move, read by the move callback
+    this.timeScalingProfile = DEFAULT_TIME_SCALING_PROFILE;
+    // display only, set by the owner of the waypoints
+    this.numWaypoints = 0;
+    // which of the equivalent screws of the input to move along, see
+    // Screw.equivalentScrew
+    this.screwWinding = 0;
+    this.screwLongWay = false;
+    // Whether a single move also animates the decoupled path, see
+    // path_comparison.js. The metrics are display only, set by the owner of
+    // the comparison, angles in degrees.
+    this.comparePaths = false;
+    this.setPathMetrics(undefined);
+    // display only, set by the owner of the inverse kinematics solve
+    this.inverseKinematicsConverged = false;
+    // display only, set by the owner of the first screw of a composition
+    this.compositionFirstSet = false;
+    // Whether the axodes of a sample motion are shown, also set by the owner
+    // of the axodes.
+    this.axodes = false;
+    // the rigid body simulated on simulate, see RigidBody.fromPreset
+    this.rigidBodyPreset = DEFAULT_RIGID_BODY_PRESET;
+
     // set initial values so they aren't undefined
     this.setAllRepresentationsFromScrew(this.defaultScrew);
 
@@ -265,6 +386,93 @@ export class GuiHelper {
 
     // DIMS doesn't include quaternion w
     this[componentsToField('transform', 'quaternion', 'w')] = quaternion.w;
+
+    this.setTransformOrientationInputsFromQuaternion();
+  }
+
+  /**
+   * Set the euler, rpy and rotation vector fields from the quaternion fields.
+   * @param {string} skipInput - one of ORIENTATION_INPUTS to leave as is,
+   *     if undefined, set all
+   */
+  setTransformOrientationInputsFromQuaternion(skipInput) {
+    const R = rotationMatrixFromThreeQuaternion(this.transformThreeQuaternion());
+
+    // gimbal lock flags are set even for the skipped input
+    const euler = eulerAnglesFromRotationMatrix(
+      R,
+      this[componentsToField('transform', 'euler', 'sequence')],
+      this[componentsToField('transform', 'euler', 'extrinsic')],
+    );
+    this[componentsToField('transform', 'euler', 'gimbalLock')] = euler.gimbalLock;
+    if (!(skipInput === 'euler')) {
+      EULER_ANGLES.forEach((name, i) => {
+        this[componentsToField('transform', 'euler', name)] = rad2deg(euler.angles[i]);
+      });
+    }
+
+    const rpy = eulerAnglesFromRotationMatrix(R, RPY_SEQUENCE, true);
+    this[componentsToField('transform', 'rpy', 'gimbalLock')] = rpy.gimbalLock;
+    if (!(skipInput === 'rpy')) {
+      RPY_ANGLES.forEach((name, i) => {
+        this[componentsToField('transform', 'rpy', name)] = rad2deg(rpy.angles[i]);
+      });
+    }
+
+    if (!(skipInput === 'rotationVector')) {
+      const rotationVector = axisAngleFromRotationMatrix(R);
+      DIM_INDICES.forEach((index) => {
+        this[componentsToField('transform', 'rotationVector', DIMS[index])] = rotationVector[index];
+      });
+    }
+  }
+
+  /**
+   * Set the quaternion fields from one of the other orientation inputs.
+   * @param {string} input - one of ORIENTATION_INPUTS
+   */
+  setTransformQuaternionFromOrientationInput(input) {
+    let R;
+    if (input === 'euler') {
+      R = rotationMatrixFromEulerAngles(
+        EULER_ANGLES.map((name) => deg2rad(this[componentsToField('transform', 'euler', name)])),
+        this[componentsToField('transform', 'euler', 'sequence')],
+        this[componentsToField('transform', 'euler', 'extrinsic')],
+      );
+    } else if (input === 'rpy') {
+      R = rotationMatrixFromEulerAngles(
+        RPY_ANGLES.map((name) => deg2rad(this[componentsToField('transform', 'rpy', name)])),
+        RPY_SEQUENCE,
+        true,
+      );
+    } else if (input === 'rotationVector') {
+      const rotationVector = DIMS.map(
+        (dim) => this[componentsToField('transform', 'rotationVector', dim)],
+      );
+      const angle = norm(rotationVector);
+      R = isZero(angle, 'angle') ? identity(3) : rotationMatrixFromAxisAngle(rotationVector, angle);
+    } else {
+      throw new Error(`Unknown orientation input: ${input}`);
+    }
+
+    const quaternion = threeQuaternionFromRotationMatrix(R);
+    QUATERNION_DIMS.forEach((dim) => {
+      this[componentsToField('transform', 'quaternion', dim)] = quaternion[dim];
+    });
+  }
+
+  /**
+   * Keep the orientation fields in sync after a transform field change.
+   * @param {string} component - the top level transform component that
+   *     changed, e.g. 'position', 'quaternion', or one of ORIENTATION_INPUTS
+   */
+  transformComponentChanged(component) {
+    if (ORIENTATION_INPUTS.includes(component)) {
+      this.setTransformQuaternionFromOrientationInput(component);
+      this.setTransformOrientationInputsFromQuaternion(component);
+    } else if (component === 'quaternion') {
+      this.setTransformOrientationInputsFromQuaternion();
+    }
   }
 
   /**
@@ -335,10 +543,55 @@ export class GuiHelper {
       },
     );
 
+    this.setScrewPluckerFromAxis(screw.axis);
+
     this[componentsToField('screw', 'pitch')] = screw.pitch;
     this[componentsToField('screw', 'magnitude')] = magnitude;
   }
 
+  /**
+   * Set the screw Plucker fields.
+   * @param {Axis} axis
+   */
+  setScrewPluckerFromAxis(axis) {
+    const { direction, moment } = axis.getPluckerCoordinates();
+    DIM_INDICES.forEach(
+      (index) => {
+        const dim = DIMS[index];
+        this[componentsToField('screw', 'plucker', 'direction', dim)] = direction[index];
+        this[componentsToField('screw', 'plucker', 'moment', dim)] = moment[index];
+      },
+    );
+  }
+
+  /**
+   * Keep the axis fields in sync after a screw field change.
+   * The Plucker moment is cleaned, see cleanPluckerMoment.
+   * @param {string} component - the top level screw component that changed,
+   *     e.g. 'axis' or 'plucker'
+   */
+  screwComponentChanged(component) {
+    if (component === 'plucker') {
+      const direction = DIMS.map(
+        (dim) => this[componentsToField('screw', 'plucker', 'direction', dim)],
+      );
+      const moment = DIMS.map(
+        (dim) => this[componentsToField('screw', 'plucker', 'moment', dim)],
+      );
+      const axis = Axis.fromPluckerCoordinates(direction, cleanPluckerMoment(direction, moment));
+      DIM_INDICES.forEach(
+        (index) => {
+          const dim = DIMS[index];
+          this[componentsToField('screw', 'axis', 'point', dim)] = axis.point[index];
+          this[componentsToField('screw', 'axis', 'direction', dim)] = axis.direction[index];
+        },
+      );
+      this.setScrewPluckerFromAxis(axis);
+    } else if (component === 'axis') {
+      this.setScrewPluckerFromAxis(this.screwToScrew().axis);
+    }
+  }
+
   /**
    * Create screw from screw fields.
    * @return {Screw} screw
@@ -355,6 +608,37 @@ export class GuiHelper {
     );
   }
 
+  /**
+   * Set dual quaternion fields from screw.
+   * @param {Screw} screw
+   * @param {float} inputMagnitude - if undefined, use screw magnitude
+   */
+  setDualQuaternionFromScrew(screw, inputMagnitude) {
+    const dualQuaternion = DualQuaternion.fromScrew(screw, inputMagnitude);
+    QUATERNION_DIMS.forEach(
+      (dim) => {
+        this[componentsToField('dualQuaternion', 'real', dim)] = dualQuaternion.real[dim];
+        this[componentsToField('dualQuaternion', 'dual', dim)] = dualQuaternion.dual[dim];
+      },
+    );
+  }
+
+  /**
+   * Create screw from dual quaternion fields.
+   * The input need not be a unit dual quaternion, it is normalized.
+   * @return {Screw} screw
+   */
+  dualQuaternionToScrew() {
+    return new DualQuaternion(
+      new Quaternion(
+        ...QUATERNION_DIMS.map((dim) => this[componentsToField('dualQuaternion', 'real', dim)]),
+      ),
+      new Quaternion(
+        ...QUATERNION_DIMS.map((dim) => this[componentsToField('dualQuaternion', 'dual', dim)]),
+      ),
+    ).toScrew();
+  }
+
   /**
    * Set representation from screw.
    * @param {string} representation
@@ -368,6 +652,8 @@ export class GuiHelper {
       this.setTwistFromScrew(screw, inputMagnitude);
     } else if (representation === 'screw') {
       this.setScrewFromScrew(screw, inputMagnitude);
+    } else if (representation === 'dualQuaternion') {
+      this.setDualQuaternionFromScrew(screw, inputMagnitude);
     } else {
       throw new Error(`Unknown representation: ${representation}`);
     }
@@ -390,6 +676,8 @@ export class GuiHelper {
       return this.twistToScrew();
     } if (representation === 'screw') {
       return this.screwToScrew();
+    } if (representation === 'dualQuaternion') {
+      return this.dualQuaternionToScrew();
     }
     throw new Error(`Unknown representation: ${representation}`);
   }
@@ -421,6 +709,69 @@ export class GuiHelper {
     }
   }
 
+  /**
+   * Function called when add waypoint button is pressed.
+   */
+  addWaypoint() {
+    if (!(this.callbacks.addWaypoint === undefined)) {
+      this.callbacks.addWaypoint(this.transformToScrew());
+    }
+  }
+
+  /**
+   * Function called when clear waypoints button is pressed.
+   */
+  clearWaypoints() {
+    if (!(this.callbacks.clearWaypoints === undefined)) {
+      this.callbacks.clearWaypoints();
+    }
+  }
+
+  /**
+   * Function called when solve ik button is pressed.
+   */
+  solveInverseKinematics() {
+    if (!(this.callbacks.solveInverseKinematics === undefined)) {
+      this.callbacks.solveInverseKinematics(this.transformToScrew());
+    }
+  }
+
+  /**
+   * Function called when set first screw button is pressed.
+   */
+  setCompositionFirst() {
+    if (!(this.callbacks.setCompositionFirst === undefined)) {
+      this.callbacks.setCompositionFirst(this.transformToScrew());
+    }
+  }
+
+  /**
+   * Function called when compose button is pressed.
+   */
+  compose() {
+    if (!(this.callbacks.compose === undefined)) {
+      this.callbacks.compose(this.transformToScrew());
+    }
+  }
+
+  /**
+   * Function called when the axodes checkbox is changed.
+   */
+  toggleAxodes() {
+    if (!(this.callbacks.axodes === undefined)) {
+      this.callbacks.axodes(this.axodes);
+    }
+  }
+
+  /**
+   * Function called when simulate button is pressed.
+   */
+  simulate() {
+    if (!(this.callbacks.simulate === undefined)) {
+      this.callbacks.simulate(this.rigidBodyPreset);
+    }
+  }
+
   /**
    * Function called when reset view button is pressed.
    */
@@ -486,7 +837,14 @@ export class GuiHelper {
             // the name to display, here use leaf path without repr
               .name(componentsToDisplayName(...path))
             // apply the change callback
-              .onFinishChange(() => changeCallback())
+              .onFinishChange(() => {
+                if (repr === 'transform') {
+                  this.transformComponentChanged(path[0]);
+                } else if (repr === 'screw') {
+                  this.screwComponentChanged(path[0]);
+                }
+                changeCallback();
+              })
             // update gui with changes to field values
               .listen();
 
@@ -513,20 +871,135 @@ export class GuiHelper {
     this.controllers.get(
       componentsToField('screw', 'magnitude'),
     ).min(0);
-    // close twist and screw groups at start
-    ['twist', 'screw'].forEach(
+    // euler convention, changing it re-expresses the same orientation
+    const transformFolder = this.representationFolders.get('transform');
+    [
+      [componentsToField('transform', 'euler', 'sequence'), EULER_SEQUENCES, 'euler sequence'],
+      [componentsToField('transform', 'euler', 'extrinsic'), undefined, 'euler extrinsic'],
+    ].forEach(
+      ([field, options, name]) => {
+        const controller = transformFolder.add(this, field, options)
+          .name(name)
+          .onChange(() => this.setTransformOrientationInputsFromQuaternion())
+          .listen();
+        this.controllers.set(field, controller);
+      },
+    );
+    // Gimbal lock flags are display only. They are not stored in controllers,
+    // so that they are never enabled.
+    ['euler', 'rpy'].forEach(
+      (input) => {
+        transformFolder.add(this, componentsToField('transform', input, 'gimbalLock'))
+          .name(componentsToDisplayName(input, 'gimbal lock'))
+          .listen()
+          .disable();
+      },
+    );
+    // close twist, screw and dual quaternion groups at start
+    ['twist', 'screw', 'dualQuaternion'].forEach(
       (repr) => {
         this.representationFolders.get(repr).open(false);
       },
     );
 
+    this.controllers.set(
+      'timeScalingProfile',
+      gui.add(this, 'timeScalingProfile', TIME_SCALING_PROFILES).name('profile').listen(),
+    );
+    this.controllers.set(
+      'screwWinding',
+      gui.add(this, 'screwWinding', 0, MAX_SCREW_WINDING, 1).name('winding').listen(),
+    );
+    this.controllers.set(
+      'screwLongWay',
+      gui.add(this, 'screwLongWay').name('long way').listen(),
+    );
     gui.add(this, 'move');
     gui.add(this, 'reset');
     gui.add(this, 'resetView').name('reset view');
 
+    // Waypoints are added from the transform inputs. The buttons are disabled
+    // during a move like the inputs, the count is display only.
+    [
+      ['addWaypoint', 'add waypoint'],
+      ['clearWaypoints', 'clear waypoints'],
+    ].forEach(
+      ([field, name]) => {
+        this.controllers.set(field, gui.add(this, field).name(name));
+      },
+    );
+    gui.add(this, 'numWaypoints').name('waypoints').listen().disable();
+
+    // An elbow manipulator is solved for the transform inputs as the target.
+    this.controllers.set(
+      'solveInverseKinematics',
+      gui.add(this, 'solveInverseKinematics').name('solve ik'),
+    );
+    gui.add(this, 'inverseKinematicsConverged').name('ik converged').listen().disable();
+
+    // The first screw of a composition is set from the transform inputs, and
+    // composed with the transform inputs at the time of compose.
+    [
+      ['setCompositionFirst', 'set first screw'],
+      ['compose', 'compose'],
+    ].forEach(
+      ([field, name]) => {
+        this.controllers.set(field, gui.add(this, field).name(name));
+      },
+    );
+    gui.add(this, 'compositionFirstSet').name('first screw set').listen().disable();
+
+    this.controllers.set(
+      'axodes',
+      gui.add(this, 'axodes').onChange(() => this.toggleAxodes()).listen(),
+    );
+
+    // A simulation drives the reference axes until the next move or reset.
+    this.controllers.set(
+      'rigidBodyPreset',
+      gui.add(this, 'rigidBodyPreset', RIGID_BODY_PRESETS).name('rigid body').listen(),
+    );
+    this.controllers.set('simulate', gui.add(this, 'simulate'));
+
+    this.controllers.set(
+      'comparePaths',
+      gui.add(this, 'comparePaths').name('compare paths').listen(),
+    );
+    [
+      ['screwPathLength', 'screw length'],
+      ['screwSweptAngle', 'screw angle'],
+      ['decoupledPathLength', 'lerp+slerp length'],
+      ['decoupledSweptAngle', 'lerp+slerp angle'],
+    ].forEach(
+      ([field, name]) => {
+        gui.add(this, field).name(name).listen().disable();
+      },
+    );
+
     this.addedToGui = true;
   }
 
+  /**
+   * Set the display only path metrics.
+   * @param {Object} comparison - from comparePaths, zeros if undefined
+   */
+  setPathMetrics(comparison) {
+    [
+      ['screwPathLength', 'screw', 'length'],
+      ['screwSweptAngle', 'screw', 'sweptAngle'],
+      ['decoupledPathLength', 'decoupled', 'length'],
+      ['decoupledSweptAngle', 'decoupled', 'sweptAngle'],
+    ].forEach(
+      ([field, path, metric]) => {
+        let value = comparison === undefined ? 0 : comparison[path][metric];
+        if (metric === 'sweptAngle') {
+          value = rad2deg(value);
+        }
+        this[field] = value;
+      },
+    );
+  }
+
   /**
    * @param {bool} flag - whether to enable
    */
@@ -160,7 +160,7 @@ function addNotes() {
   sublist = document.createElement('ul');
   subitem = document.createElement('li');
   subitem.appendChild(
-    document.createTextNode('Use any representation (transform, twist, screw) to update the pose of the reference axes.'),
+    document.createTextNode('Use any representation (transform, twist, screw, dual quaternion) to update the pose of the reference axes.'),
   );
   sublist.appendChild(subitem);
 
@@ -177,15 +177,63 @@ function addNotes() {
   sublist.appendChild(subitem);
 
   subitem = document.createElement('li');
-  [
-    document.createTextNode('Only quaternion inputs are currently supported for orientation. For other representations, try a tool such as '),
-    createLinkElement(
-      document,
-      'https://www.andre-gaschler.com/rotationconverter/',
-      '3D Rotation Converter',
-    ),
-    document.createTextNode('.'),
-  ].forEach((child) => subitem.appendChild(child));
+  subitem.appendChild(
+    document.createTextNode('The profile sets how the magnitude along the screw changes with time during a move: constant speed, trapezoidal velocity, cubic, quintic or minimum jerk. Every profile takes the same time.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('The same pose is reached by other screws on the same line: winding adds full turns, and long way rotates the other way round, about the flipped axis. Move animates the selected screw. Waypoint legs always take the shortest screw.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('With compare paths checked, a single move also animates smaller axes along the path most robotics software takes to the same pose: the translation interpolated linearly, and the rotation with a slerp of the quaternions. The origin traces of both paths are drawn, and the length travelled by the origin and the angle rotated through (degrees) are shown for each.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('Add waypoint appends the transform inputs to a path. With waypoints, move travels through each one in turn, along the screw from the previous waypoint, and the screw of every leg is visualized. Clear waypoints goes back to single moves. Reset keeps the waypoints.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('Set first screw stores the transform inputs. Compose then shows the screw of the motion along the first screw followed by the screw of the transform inputs, both about fixed axes: the first axis in sky blue, the second in green, and the composed axis in purple, with the common normals between them, the screw triangle. Reset keeps the first screw.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('Simulate drives the reference axes with a torque free rigid body, in real time, until the next move or reset. With the precession preset, a symmetric body spun about its axis with a wobble, the axis cones about the fixed angular momentum. With the intermediate axis preset, a box spun close to its intermediate axis flips over and back in turn.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('Axodes shows the surfaces traced by the instantaneous screw axis of a cylinder of radius 0.5 rolling along x on the ground plane: the fixed axode, the plane, in blue, and the moving axode, the cylinder, in orange, placed at the start of the roll where they touch along the axis.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('Solve ik takes the transform inputs as the target pose of an elbow manipulator with its base at the origin and unit link lengths, and solves for the joint angles with damped least-squares steps. The links are drawn in grey at the solution, with small axes at the end-effector pose of every iteration. Targets more than 2 from the origin are out of reach, and are not converged.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('Orientation can be input as a quaternion, euler angles (degrees, in the selected sequence, intrinsic unless extrinsic is checked), roll-pitch-yaw (degrees, about fixed x, y, z), or a rotation vector (radians, the norm is the angle). Gimbal lock of the euler angles is flagged.'),
+  );
+  sublist.appendChild(subitem);
+
+  subitem = document.createElement('li');
+  subitem.appendChild(
+    document.createTextNode('The screw axis can also be input as Plücker coordinates, a direction and a moment about the origin. Any component of the moment along the direction is removed, and both are normalized.'),
+  );
   sublist.appendChild(subitem);
 
   subitem = document.createElement('li');
@@ -0,0 +1,137 @@
+import {
+  identity, multiply, transpose, add, inv, norm, max, min,
+} from 'mathjs';
+import { Group } from 'three';
+
+import {
+  inverseTransform, myAxesHelper, setThreeObjectPoseFromTransform,
+} from './util';
+import { jacobianMatrix } from './kinematic_chain';
+import Twist from './twist';
+
+export const DEFAULT_IK_OPTIONS = {
+  // on the norm of the error twist coordinates
+  tolerance: 1e-8,
+  maxIterations: 100,
+  // damping factor lambda of the least-squares step
+  damping: 0.05,
+  // Array of [min, max] for each joint, undefined for no limits.
+  // An entry can also be undefined for an unlimited joint.
+  jointLimits: undefined,
+};
+
+/**
+* @param {Array} jointValues
+* @param {Array} jointLimits - see DEFAULT_IK_OPTIONS
+* @return {Array} joint values within limits
+*/
+export function clampToJointLimits(jointValues, jointLimits) {
+  if (jointLimits === undefined) {
+    return jointValues.slice();
+  }
+
+  return jointValues.map((value, i) => {
+    const limits = jointLimits[i];
+    if (limits === undefined) {
+      return value;
+    }
+    return min(max(value, limits[0]), limits[1]);
+  });
+}
+
+/**
+* Damped least-squares step J^T (J J^T + lambda^2 I)^-1 error.
+* @param {mathjs.Matrix} jacobian - 6xN matrix
+* @param {Array} error - length 6 twist coordinates
+* @param {number} damping - lambda
+* @return {Array} length N joint value step
+*/
+export function dampedLeastSquaresStep(jacobian, error, damping) {
+  const jacobianTranspose = transpose(jacobian);
+  const damped = add(
+    multiply(jacobian, jacobianTranspose),
+    multiply(identity(6), damping ** 2),
+  );
+  return multiply(multiply(jacobianTranspose, inv(damped)), error).toArray();
+}
+
+/**
+* Iterative inverse kinematics with damped least-squares steps on the body
+* Jacobian. The error is the body twist from the current pose to the target,
+* Twist.fromTransform(currentInverse * target).
+* @param {KinematicChain} chain
+* @param {mathjs.Matrix} target - end-effector pose to reach
+* @param {Array} initialJointValues - starting guess, clamped to limits
+* @param {Object} inputOptions - overrides of DEFAULT_IK_OPTIONS
+* @return {Object} with fields
+*     jointValues: {Array} the final joint values,
+*     converged: {bool} whether the error is within tolerance,
+*     iterations: {number} number of steps taken,
+*     history: {Array} for each iterate, an Object with fields
+*         jointValues, transform, errorTwist, error (norm of errorTwist)
+*/
+export function solveInverseKinematics(chain, target, initialJointValues, inputOptions = {}) {
+  const options = { ...DEFAULT_IK_OPTIONS, ...inputOptions };
+
+  if (!(initialJointValues.length === chain.numJoints)) {
+    throw new Error(`Number of joint values: ${initialJointValues.length} does not match number of joints: ${chain.numJoints}.`);
+  }
+
+  let jointValues = clampToJointLimits(initialJointValues, options.jointLimits);
+  const history = [];
+  let converged = false;
+  let iterations = 0;
+
+  // The loop exits with a break, either on convergence or when out of
+  // iterations. Either way the last iterate is in history.
+  for (;;) {
+    const transform = chain.getTransform(jointValues);
+    const errorTwist = Twist.fromTransform(
+      multiply(inverseTransform(transform), target),
+    );
+    const error = norm(errorTwist.coordinates);
+    history.push({
+      jointValues: jointValues.slice(), transform, errorTwist, error,
+    });
+
+    if (error < options.tolerance) {
+      converged = true;
+      break;
+    }
+    if (iterations >= options.maxIterations) {
+      break;
+    }
+
+    const step = dampedLeastSquaresStep(
+      jacobianMatrix(chain.bodyJacobian(jointValues)),
+      errorTwist.coordinates,
+      options.damping,
+    );
+    jointValues = clampToJointLimits(
+      jointValues.map((value, i) => value + step[i]),
+      options.jointLimits,
+    );
+    iterations += 1;
+  }
+
+  return {
+    jointValues, converged, iterations, history,
+  };
+}
+
+/**
+* Axes at the end-effector pose of every iterate, for drawing the solver
+* progress.
+* @param {Array} history - as returned by solveInverseKinematics
+* @param {number} size - length of each drawn axis, defaults to 0.3
+* @return {three.Group} object that can be added to scene
+*/
+export function getHistoryThreeViz(history, size = 0.3) {
+  const group = new Group();
+  history.forEach((iterate) => {
+    const axes = myAxesHelper(size, true, 0.005);
+    setThreeObjectPoseFromTransform(axes, iterate.transform);
+    group.add(axes);
+  });
+  return group;
+}
@@ -0,0 +1,181 @@
+import {
+  identity, multiply, concat, matrix, transpose,
+} from 'mathjs';
+
+/**
+* Running products of the joint exponentials,
+* exp(twist_1 value_1) ... exp(twist_i value_i) for i in [1, N].
+* @param {Array} jointTwists - Twist for each joint, ordered from base
+* @param {Array} jointValues - number for each joint
+* @return {Array} N transforms
+*/
+export function productOfExponentials(jointTwists, jointValues) {
+  if (!(jointTwists.length === jointValues.length)) {
+    throw new Error(`Number of joint values: ${jointValues.length} does not match number of joints: ${jointTwists.length}.`);
+  }
+
+  const products = [];
+  let g = identity(4);
+  jointTwists.forEach((twist, i) => {
+    g = multiply(g, twist.multiply(jointValues[i]).getTransform());
+    products.push(g);
+  });
+  return products;
+}
+
+/**
+* Spatial manipulator Jacobian, from MLS Section 3.4.
+* Column i is the joint twist i, mapped through the adjoint of
+* exp(twist_1 value_1) ... exp(twist_{i-1} value_{i-1}).
+* @param {Array} jointTwists - Twist for each joint at home, ordered from base
+* @param {Array} jointValues - number for each joint
+* @return {Array} Twist for each column
+*/
+export function spatialJacobian(jointTwists, jointValues) {
+  const products = productOfExponentials(jointTwists, jointValues);
+  return jointTwists.map((twist, i) => {
+    if (i === 0) {
+      return twist;
+    }
+    return twist.adjoint(products[i - 1]);
+  });
+}
+
+/**
+* Body manipulator Jacobian, from MLS Section 3.4.
+* Column i is the joint twist i, mapped through the inverse adjoint of
+* exp(twist_i value_i) ... exp(twist_N value_N) homeTransform.
+* @param {Array} jointTwists - Twist for each joint at home, ordered from base
+* @param {Array} jointValues - number for each joint
+* @param {mathjs.Matrix} homeTransform - end-effector pose at home
+* @return {Array} Twist for each column
+*/
+export function bodyJacobian(jointTwists, jointValues, homeTransform) {
+  if (!(jointTwists.length === jointValues.length)) {
+    throw new Error(`Number of joint values: ${jointValues.length} does not match number of joints: ${jointTwists.length}.`);
+  }
+
+  const columns = [];
+  let g = homeTransform;
+  // accumulate the product from the end-effector towards the base
+  for (let i = jointTwists.length - 1; i >= 0; i -= 1) {
+    g = multiply(jointTwists[i].multiply(jointValues[i]).getTransform(), g);
+    columns.unshift(jointTwists[i].inverseAdjoint(g));
+  }
+  return columns;
+}
+
+/**
+* Body Jacobian from spatial Jacobian, using the inverse adjoint of the end-effector pose.
+* @param {Array} columns - Twist for each spatial Jacobian column
+* @param {mathjs.Matrix} transform - end-effector pose at the joint values
+* @return {Array} Twist for each body Jacobian column
+*/
+export function spatialToBodyJacobian(columns, transform) {
+  return columns.map((column) => column.inverseAdjoint(transform));
+}
+
+/**
+* Spatial Jacobian from body Jacobian, inverse of spatialToBodyJacobian.
+* @param {Array} columns - Twist for each body Jacobian column
+* @param {mathjs.Matrix} transform - end-effector pose at the joint values
+* @return {Array} Twist for each spatial Jacobian column
+*/
+export function bodyToSpatialJacobian(columns, transform) {
+  return columns.map((column) => column.adjoint(transform));
+}
+
+/**
+* @param {Array} columns - Twist for each Jacobian column
+* @return {mathjs.Matrix} 6xN matrix
+*/
+export function jacobianMatrix(columns) {
+  if (columns.length === 0) {
+    throw new Error('Jacobian needs at least one column.');
+  }
+  // rows of the transpose are the columns
+  return transpose(concat(...columns.map((column) => matrix([column.coordinates])), 0));
+}
+
+export default class KinematicChain {
+  /**
+   * A serial chain described by joint screws in the base frame, at the home
+   * configuration where all joint values are zero.
+   * Revolute joints are screws with pitch 0, prismatic joints are screws with
+   * pitch Infinity. Screw magnitudes are ignored, the joint value is used
+   * instead.
+   * @param {Array} jointScrews - Screw for each joint, ordered from base
+   * @param {mathjs.Matrix} homeTransform - end-effector pose at home,
+   *     defaults to identity
+   * @param {Array} linkHomeTransforms - pose at home of the link frame
+   *     following each joint, defaults to identity for each link
+   */
+  constructor(jointScrews, homeTransform = identity(4), linkHomeTransforms = undefined) {
+    this.jointScrews = jointScrews;
+    // unit twists, since the joint value is the magnitude
+    this.jointTwists = jointScrews.map((screw) => screw.unitTwist);
+    this.homeTransform = homeTransform;
+
+    if (linkHomeTransforms === undefined) {
+      this.linkHomeTransforms = jointScrews.map(() => identity(4));
+    } else if (linkHomeTransforms.length === jointScrews.length) {
+      this.linkHomeTransforms = linkHomeTransforms;
+    } else {
+      throw new Error(`Number of link home transforms: ${linkHomeTransforms.length} does not match number of joints: ${jointScrews.length}.`);
+    }
+  }
+
+  get numJoints() {
+    return this.jointScrews.length;
+  }
+
+  /**
+   * Product of exponentials forward kinematics, from MLS Eq (3.3).
+   * The link frame i is at exp(twist_1 value_1) ... exp(twist_i value_i)
+   * applied to its home pose.
+   * @param {Array} jointValues - number for each joint, angle for revolute
+   *     joints, distance for prismatic joints
+   * @return {Object} with fields
+   *     transform: {mathjs.Matrix} end-effector pose,
+   *     linkTransforms: {Array} pose of each link frame
+   */
+  forwardKinematics(jointValues) {
+    const products = productOfExponentials(this.jointTwists, jointValues);
+
+    const linkTransforms = products.map(
+      (product, i) => multiply(product, this.linkHomeTransforms[i]),
+    );
+
+    let transform = this.homeTransform;
+    if (products.length > 0) {
+      transform = multiply(products[products.length - 1], this.homeTransform);
+    }
+
+    return { transform, linkTransforms };
+  }
+
+  /**
+   * Convenience method.
+   * @param {Array} jointValues
+   * @return {mathjs.Matrix} end-effector pose
+   */
+  getTransform(jointValues) {
+    return this.forwardKinematics(jointValues).transform;
+  }
+
+  /**
+   * @param {Array} jointValues
+   * @return {Array} Twist for each spatial Jacobian column
+   */
+  spatialJacobian(jointValues) {
+    return spatialJacobian(this.jointTwists, jointValues);
+  }
+
+  /**
+   * @param {Array} jointValues
+   * @return {Array} Twist for each body Jacobian column
+   */
+  bodyJacobian(jointValues) {
+    return bodyJacobian(this.jointTwists, jointValues, this.homeTransform);
+  }
+}
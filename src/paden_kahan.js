@@ -0,0 +1,227 @@
+import {
+  dot, cross, norm, subtract, add, multiply, acos, sqrt,
+} from 'mathjs';
+
+import { isZero, isClose } from './tolerance';
+import Screw from './screw';
+
+/**
+* @param {Axis or Screw} input
+* @return {Axis}
+*/
+function toAxis(input) {
+  if (input instanceof Screw) {
+    return input.axis;
+  }
+  return input;
+}
+
+/**
+* @param {number} angle
+* @return {number} equivalent angle in (-pi, pi]
+*/
+function wrapAngle(angle) {
+  let result = angle % (2 * Math.PI);
+  if (result > Math.PI) {
+    result -= 2 * Math.PI;
+  } else if (result <= -Math.PI) {
+    result += 2 * Math.PI;
+  }
+  return result;
+}
+
+/**
+* Component of a vector normal to a unit direction.
+* @param {Array} vector
+* @param {Array} direction - unit norm
+* @return {Array}
+*/
+function normalComponent(vector, direction) {
+  return subtract(vector, multiply(dot(vector, direction), direction));
+}
+
+/**
+* Paden-Kahan subproblem 1, from MLS Section 3.3: find theta such that
+* rotating p about the axis by theta gives q.
+* @param {Axis or Screw} input - rotation axis, the pitch of a screw is ignored
+* @param {Array} p
+* @param {Array} q
+* @return {Object} with fields
+*     solutions: {Array} angles in (-pi, pi],
+*     infinite: {bool} true if every angle is a solution, then solutions is
+*         empty
+*/
+export function rotationToPoint(input, p, q) {
+  const axis = toAxis(input);
+  const u = subtract(p, axis.point);
+  const v = subtract(q, axis.point);
+
+  // p and q must be in the same plane normal to the axis
+  if (!isClose(dot(axis.direction, u), dot(axis.direction, v))) {
+    return { solutions: [], infinite: false };
+  }
+
+  const uPrime = normalComponent(u, axis.direction);
+  const vPrime = normalComponent(v, axis.direction);
+  const uPrimeNorm = norm(uPrime);
+
+  // and at the same distance from the axis
+  if (!isClose(uPrimeNorm, norm(vPrime))) {
+    return { solutions: [], infinite: false };
+  }
+
+  // both are on the axis
+  if (isZero(uPrimeNorm)) {
+    return { solutions: [], infinite: true };
+  }
+
+  return {
+    solutions: [
+      Math.atan2(dot(axis.direction, cross(uPrime, vPrime)), dot(uPrime, vPrime)),
+    ],
+    infinite: false,
+  };
+}
+
+/**
+* Paden-Kahan subproblem 2, from MLS Section 3.3: find theta1, theta2 such
+* that rotating p about axis2 by theta2, and then about axis1 by theta1,
+* gives q. The axes must intersect.
+* @param {Axis or Screw} input1 - the pitch of a screw is ignored
+* @param {Axis or Screw} input2 - the pitch of a screw is ignored
+* @param {Array} p
+* @param {Array} q
+* @return {Object} with fields
+*     solutions: {Array} of [theta1, theta2], angles in (-pi, pi],
+*     infinite: {bool} true if there is a continuum of solutions, then
+*         solutions is empty
+*/
+export function rotationAboutTwoAxes(input1, input2, p, q) {
+  const axis1 = toAxis(input1);
+  const axis2 = toAxis(input2);
+
+  const r = axis1.intersection(axis2);
+  if (r === undefined) {
+    throw new Error('Axes of subproblem 2 must intersect.');
+  }
+
+  const w1 = axis1.direction;
+  const w2 = axis2.direction;
+  const w1CrossW2 = cross(w1, w2);
+
+  // Coincident axes, only the sum of the angles is fixed.
+  if (isZero(norm(w1CrossW2), 'angle')) {
+    const sum = rotationToPoint(axis1, p, q);
+    return {
+      solutions: [],
+      infinite: sum.infinite || sum.solutions.length > 0,
+    };
+  }
+
+  const u = subtract(p, r);
+  const v = subtract(q, r);
+  const w1DotW2 = dot(w1, w2);
+  const denominator = w1DotW2 ** 2 - 1;
+  const alpha = (w1DotW2 * dot(w2, u) - dot(w1, v)) / denominator;
+  const beta = (w1DotW2 * dot(w1, v) - dot(w2, u)) / denominator;
+  const gammaSquared = (
+    dot(u, u) - alpha ** 2 - beta ** 2 - 2 * alpha * beta * w1DotW2
+  ) / dot(w1CrossW2, w1CrossW2);
+
+  let gammas;
+  if (isZero(gammaSquared)) {
+    gammas = [0];
+  } else if (gammaSquared < 0) {
+    return { solutions: [], infinite: false };
+  } else {
+    gammas = [sqrt(gammaSquared), -sqrt(gammaSquared)];
+  }
+
+  const solutions = [];
+  let infinite = false;
+  gammas.forEach((gamma) => {
+    // the intermediate point, after rotating about axis2
+    const c = add(
+      r,
+      add(
+        add(multiply(alpha, w1), multiply(beta, w2)),
+        multiply(gamma, w1CrossW2),
+      ),
+    );
+    const first = rotationToPoint(axis1, c, q);
+    const second = rotationToPoint(axis2, p, c);
+    if (first.infinite || second.infinite) {
+      infinite = true;
+    } else if (first.solutions.length > 0 && second.solutions.length > 0) {
+      solutions.push([first.solutions[0], second.solutions[0]]);
+    }
+  });
+
+  if (infinite) {
+    return { solutions: [], infinite };
+  }
+  return { solutions, infinite };
+}
+
+/**
+* Paden-Kahan subproblem 3, from MLS Section 3.3: find theta such that
+* rotating p about the axis by theta gives a point at distance delta from q.
+* @param {Axis or Screw} input - rotation axis, the pitch of a screw is ignored
+* @param {Array} p
+* @param {Array} q
+* @param {number} delta - non-negative distance
+* @return {Object} with fields
+*     solutions: {Array} angles in (-pi, pi],
+*     infinite: {bool} true if every angle is a solution, then solutions is
+*         empty
+*/
+export function rotationToDistance(input, p, q, delta) {
+  if (delta < 0) {
+    throw new Error(`Distance: ${delta} cannot be negative.`);
+  }
+
+  const axis = toAxis(input);
+  const u = subtract(p, axis.point);
+  const v = subtract(q, axis.point);
+
+  // distance in the plane normal to the axis
+  const deltaPrimeSquared = delta ** 2 - dot(axis.direction, subtract(p, q)) ** 2;
+  if (deltaPrimeSquared < 0 && !isZero(deltaPrimeSquared)) {
+    return { solutions: [], infinite: false };
+  }
+
+  const uPrime = normalComponent(u, axis.direction);
+  const vPrime = normalComponent(v, axis.direction);
+  const uPrimeNorm = norm(uPrime);
+  const vPrimeNorm = norm(vPrime);
+
+  // The distance does not depend on the angle if either point is on the axis.
+  if (isZero(uPrimeNorm) || isZero(vPrimeNorm)) {
+    const planarDistance = norm(subtract(uPrime, vPrime));
+    return {
+      solutions: [],
+      infinite: isClose(planarDistance ** 2, deltaPrimeSquared),
+    };
+  }
+
+  const theta0 = Math.atan2(dot(axis.direction, cross(uPrime, vPrime)), dot(uPrime, vPrime));
+  const cosine = (uPrimeNorm ** 2 + vPrimeNorm ** 2 - deltaPrimeSquared)
+    / (2 * uPrimeNorm * vPrimeNorm);
+
+  if (isClose(Math.abs(cosine), 1, 'angle')) {
+    return {
+      solutions: [wrapAngle(theta0 - acos(Math.sign(cosine)))],
+      infinite: false,
+    };
+  }
+
+  if (Math.abs(cosine) > 1) {
+    return { solutions: [], infinite: false };
+  }
+
+  const offset = acos(cosine);
+  return {
+    solutions: [wrapAngle(theta0 - offset), wrapAngle(theta0 + offset)],
+    infinite: false,
+  };
+}
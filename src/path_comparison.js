@@ -0,0 +1,135 @@
+import {
+  multiply, norm, subtract, transpose,
+} from 'mathjs';
+import {
+  CurvePath, LineCurve3, TubeGeometry, MeshBasicMaterial, Mesh, Vector3,
+} from 'three';
+
+import {
+  threeQuaternionFromTransform, rotationMatrixFromThreeQuaternion,
+  transformFromRotationTranslation, translationFromTransform, rotationMatrixFromTransform,
+  axisAngleFromRotationMatrix, getSegmentThreeViz,
+} from './util';
+import { isZero } from './tolerance';
+
+// Colors of the origin traces, the screw path as the screw axis viz, and the
+// decoupled path in purple.
+export const SCREW_TRACE_COLOR = 0x000000;
+export const DECOUPLED_TRACE_COLOR = 0x8031A7;
+
+// Number of intervals each path is sampled at, for the traces and metrics.
+export const PATH_COMPARISON_SAMPLES = 100;
+
+/**
+* The pose at a fraction of the way along the decoupled path, which
+* interpolates the translation linearly, and the rotation with a slerp of the
+* quaternions, the short way round.
+* @param {mathjs.Matrix} start
+* @param {mathjs.Matrix} end
+* @param {number} fraction - in [0, 1]
+* @return {mathjs.Matrix}
+*/
+export function decoupledTransformAt(start, end, fraction) {
+  const quaternion = threeQuaternionFromTransform(start).slerp(
+    threeQuaternionFromTransform(end),
+    fraction,
+  );
+  const startTranslation = translationFromTransform(start);
+  const endTranslation = translationFromTransform(end);
+  return transformFromRotationTranslation(
+    rotationMatrixFromThreeQuaternion(quaternion),
+    startTranslation.map(
+      (element, i) => element + fraction * (endTranslation[i] - element),
+    ),
+  );
+}
+
+/**
+* Length travelled by the origin, and angle rotated through, along sampled
+* poses of a path. Each is summed over the intervals.
+* @param {Array} transforms - poses along the path
+* @return {Object} with fields
+*     length: {number},
+*     sweptAngle: {number} in radians
+*/
+export function pathMetrics(transforms) {
+  let length = 0;
+  let sweptAngle = 0;
+  transforms.slice(1).forEach((transform, i) => {
+    const previous = transforms[i];
+    length += norm(subtract(
+      translationFromTransform(transform),
+      translationFromTransform(previous),
+    ));
+    const relativeRotation = multiply(
+      transpose(rotationMatrixFromTransform(previous)),
+      rotationMatrixFromTransform(transform),
+    );
+    sweptAngle += norm(axisAngleFromRotationMatrix(relativeRotation));
+  });
+  return { length, sweptAngle };
+}
+
+/**
+* Compare the screw path from a pose with the decoupled path to the same end
+* pose, see decoupledTransformAt.
+* @param {mathjs.Matrix} start
+* @param {Screw} screw - in the frame of start
+* @param {number} numSamples - intervals, defaults to PATH_COMPARISON_SAMPLES
+* @return {Object} with fields screw and decoupled, each an Object with
+*     fields
+*     transforms: {Array} numSamples + 1 sampled poses,
+*     length: {number} see pathMetrics,
+*     sweptAngle: {number} see pathMetrics
+*/
+export function comparePaths(start, screw, numSamples = PATH_COMPARISON_SAMPLES) {
+  const end = multiply(start, screw.getTransform());
+  const fractions = Array.from({ length: numSamples + 1 }, (value, i) => i / numSamples);
+  const paths = {
+    screw: fractions.map(
+      (fraction) => multiply(start, screw.getTransformAtMagnitude(fraction * screw.magnitude)),
+    ),
+    decoupled: fractions.map((fraction) => decoupledTransformAt(start, end, fraction)),
+  };
+
+  const result = {};
+  Object.entries(paths).forEach(([name, transforms]) => {
+    result[name] = { transforms, ...pathMetrics(transforms) };
+  });
+  return result;
+}
+
+/**
+* Creates a tube through the origins of sampled poses, or a sphere if the
+* origin does not move.
+* @param {Array} transforms - poses along a path
+* @param {number} color
+* @param {number} lineRadius - tube radius, defaults to 0.015
+* @return {threejs.Mesh} in the frame of the poses
+*/
+export function getTraceThreeViz(transforms, color, lineRadius = 0.015) {
+  const points = transforms.map(
+    (transform) => new Vector3(...translationFromTransform(transform)),
+  );
+  const path = new CurvePath();
+  points.slice(1).forEach((point, i) => {
+    // a zero length segment is degenerate
+    if (!isZero(point.distanceTo(points[i]))) {
+      path.add(new LineCurve3(points[i], point));
+    }
+  });
+
+  if (path.curves.length === 0) {
+    const origin = translationFromTransform(transforms[0]);
+    return getSegmentThreeViz(origin, origin, color, lineRadius);
+  }
+
+  const geometry = new TubeGeometry(
+    path, // curve
+    2 * path.curves.length, // tubularSegments
+    lineRadius, // tube radius
+    8, // radialSegments,
+    false, // tubeClosed
+  );
+  return new Mesh(geometry, new MeshBasicMaterial({ color }));
+}
@@ -0,0 +1,266 @@
+import {
+  add, subtract, multiply, transpose, inv, norm, identity,
+} from 'mathjs';
+
+import {
+  rotationMatrixFromTransform, setTransformRotation,
+} from './util';
+import Twist from './twist';
+
+// Integrators of a pose along a twist field.
+// euler and rk4 step the 4x4 matrix as in R^16, so the pose drifts off the
+// rigid transforms, rk4 re-orthonormalizes the rotation after every step.
+// rkmk4 (Runge-Kutta-Munthe-Kaas) and crouchGrossman3 step along
+// exponentials, so the pose stays a rigid transform up to round off.
+export const POSE_INTEGRATORS = ['euler', 'rk4', 'rkmk4', 'crouchGrossman3'];
+
+// body: dg/dt = g twist^, the twist is in the frame of the pose,
+// spatial: dg/dt = twist^ g, the twist is in the fixed frame.
+export const POSE_INTEGRATION_FRAMES = ['body', 'spatial'];
+
+export const DEFAULT_POSE_INTEGRATION_OPTIONS = {
+  integrator: 'rkmk4',
+  frame: 'body',
+  // the step is shortened to divide the duration evenly
+  timeStep: 0.01,
+};
+
+// Butcher tableau of the 3rd order Crouch-Grossman method, from Crouch and
+// Grossman, Numerical Integration of Ordinary Differential Equations on
+// Manifolds, Journal of Nonlinear Science, 1993.
+const CROUCH_GROSSMAN_3 = {
+  a: [[], [3 / 4], [119 / 216, 17 / 108]],
+  b: [13 / 51, -2 / 3, 24 / 17],
+  c: [0, 3 / 4, 17 / 24],
+};
+
+// Iterations of orthonormalizeTransform are stopped once the change is below
+// this, or after the max iterations.
+const ORTHONORMALIZATION_TOLERANCE = 1e-15;
+const ORTHONORMALIZATION_MAX_ITERATIONS = 10;
+
+/**
+* Returns a new transform, with the rotation replaced by the closest rotation
+* matrix, the orthogonal polar factor, from the iteration R <- (R + R^-T) / 2,
+* see Higham, Functions of Matrices, Section 8.3.
+* @param {mathjs.Matrix} transform - with a rotation close to orthonormal
+* @return {mathjs.Matrix}
+*/
+export function orthonormalizeTransform(transform) {
+  let R = rotationMatrixFromTransform(transform);
+  for (let i = 0; i < ORTHONORMALIZATION_MAX_ITERATIONS; i += 1) {
+    const next = multiply(0.5, add(R, transpose(inv(R))));
+    const change = norm(subtract(next, R), 'fro');
+    R = next;
+    if (change < ORTHONORMALIZATION_TOLERANCE) {
+      break;
+    }
+  }
+  return setTransformRotation(transform, R);
+}
+
+/**
+* How far the rotation of a transform is from a rotation matrix.
+* @param {mathjs.Matrix} transform
+* @return {number} Frobenius norm of R^T R - I
+*/
+export function rotationDrift(transform) {
+  const R = rotationMatrixFromTransform(transform);
+  return norm(subtract(multiply(transpose(R), R), identity(3)), 'fro');
+}
+
+/**
+* @param {mathjs.Matrix} transform
+* @param {Twist} twist
+* @param {string} frame - see POSE_INTEGRATION_FRAMES
+* @return {mathjs.Matrix} transform exp(twist^) on the side given by frame
+*/
+function applyExponential(transform, twist, frame) {
+  if (frame === 'body') {
+    return multiply(transform, twist.getTransform());
+  }
+  return multiply(twist.getTransform(), transform);
+}
+
+/**
+* @param {function} twistField - see integratePose
+* @param {number} time
+* @param {mathjs.Matrix} transform
+* @param {string} frame - see POSE_INTEGRATION_FRAMES
+* @return {mathjs.Matrix} 4x4 dg/dt
+*/
+function matrixDerivative(twistField, time, transform, frame) {
+  const twistHat = twistField(time, transform).hat();
+  if (frame === 'body') {
+    return multiply(transform, twistHat);
+  }
+  return multiply(twistHat, transform);
+}
+
+/**
+* @param {function} twistField - see integratePose
+* @param {number} time - at the start of the step
+* @param {mathjs.Matrix} transform - at the start of the step
+* @param {number} timeStep
+* @param {string} frame - see POSE_INTEGRATION_FRAMES
+* @return {mathjs.Matrix} at the end of the step
+*/
+function eulerStep(twistField, time, transform, timeStep, frame) {
+  return add(
+    transform,
+    multiply(timeStep, matrixDerivative(twistField, time, transform, frame)),
+  );
+}
+
+/**
+* See eulerStep.
+*/
+function rk4Step(twistField, time, transform, timeStep, frame) {
+  const slopes = [];
+  [0, 0.5, 0.5, 1].forEach((fraction, i) => {
+    const stageTransform = i === 0
+      ? transform
+      : add(transform, multiply(fraction * timeStep, slopes[i - 1]));
+    slopes.push(matrixDerivative(twistField, time + fraction * timeStep, stageTransform, frame));
+  });
+  const increment = multiply(
+    timeStep / 6,
+    add(add(slopes[0], multiply(2, slopes[1])), add(multiply(2, slopes[2]), slopes[3])),
+  );
+  return orthonormalizeTransform(add(transform, increment));
+}
+
+/**
+* With g = g0 exp(theta) in the body frame, dtheta/dt is the right Jacobian
+* inverse of theta applied to the twist, and with g = exp(theta) g0 in the
+* spatial frame, the left Jacobian inverse. Classical RK4 is applied to theta.
+* See eulerStep.
+*/
+function rkmk4Step(twistField, time, transform, timeStep, frame) {
+  const fractions = [0, 0.5, 0.5, 1];
+  const slopes = [];
+  let theta = new Twist([0, 0, 0], [0, 0, 0]);
+  fractions.forEach((fraction, i) => {
+    if (i > 0) {
+      theta = slopes[i - 1].multiply(fraction * timeStep);
+    }
+    const twist = twistField(
+      time + fraction * timeStep,
+      applyExponential(transform, theta, frame),
+    );
+    const jacobianInverse = frame === 'body'
+      ? theta.getRightJacobianInverse()
+      : theta.getLeftJacobianInverse();
+    slopes.push(Twist.fromCoordinates(multiply(jacobianInverse, twist.coordinates)));
+  });
+
+  theta = new Twist([0, 0, 0], [0, 0, 0]);
+  [1, 2, 2, 1].forEach((weight, i) => {
+    theta = theta.add(slopes[i].multiply((weight * timeStep) / 6));
+  });
+  return applyExponential(transform, theta, frame);
+}
+
+/**
+* Each stage, and the step, is a product of exponentials of the stage twists,
+* applied on the side given by frame. See eulerStep.
+*/
+function crouchGrossman3Step(twistField, time, transform, timeStep, frame) {
+  const { a, b, c } = CROUCH_GROSSMAN_3;
+  const twists = [];
+  c.forEach((fraction, i) => {
+    let stageTransform = transform;
+    a[i].forEach((coefficient, j) => {
+      stageTransform = applyExponential(
+        stageTransform,
+        twists[j].multiply(coefficient * timeStep),
+        frame,
+      );
+    });
+    twists.push(twistField(time + fraction * timeStep, stageTransform));
+  });
+
+  let result = transform;
+  b.forEach((weight, i) => {
+    result = applyExponential(result, twists[i].multiply(weight * timeStep), frame);
+  });
+  return result;
+}
+
+const POSE_INTEGRATOR_STEPS = {
+  euler: eulerStep,
+  rk4: rk4Step,
+  rkmk4: rkmk4Step,
+  crouchGrossman3: crouchGrossman3Step,
+};
+
+/**
+* Integrate a pose along a time-varying twist, from time 0.
+* @param {function} twistField - arguments: (time, transform), returns the
+*     Twist, in the frame given by the options. The transform is the stage
+*     pose, and can be ignored for a twist that only depends on time.
+* @param {mathjs.Matrix} initialTransform - pose at time 0
+* @param {number} duration - non-negative
+* @param {Object} inputOptions - overrides of DEFAULT_POSE_INTEGRATION_OPTIONS
+* @return {Array} for the start and each step, an Object with fields
+*     time: {number},
+*     transform: {mathjs.Matrix}
+*/
+export function integratePose(twistField, initialTransform, duration, inputOptions = {}) {
+  const options = { ...DEFAULT_POSE_INTEGRATION_OPTIONS, ...inputOptions };
+  if (!POSE_INTEGRATORS.includes(options.integrator)) {
+    throw new Error(`Unknown pose integrator: ${options.integrator}, must be one of: ${POSE_INTEGRATORS}`);
+  }
+  if (!POSE_INTEGRATION_FRAMES.includes(options.frame)) {
+    throw new Error(`Unknown frame: ${options.frame}, must be one of: ${POSE_INTEGRATION_FRAMES}`);
+  }
+  if (duration < 0) {
+    throw new Error(`Duration: ${duration} cannot be negative.`);
+  }
+  if (!(options.timeStep > 0)) {
+    throw new Error(`Time step: ${options.timeStep} must be positive.`);
+  }
+
+  const step = POSE_INTEGRATOR_STEPS[options.integrator];
+  const numSteps = Math.ceil(duration / options.timeStep);
+  const timeStep = numSteps === 0 ? 0 : duration / numSteps;
+  const result = [{ time: 0, transform: initialTransform }];
+  for (let i = 0; i < numSteps; i += 1) {
+    const { time, transform } = result[i];
+    result.push({
+      time: (i + 1) * timeStep,
+      transform: step(twistField, time, transform, timeStep, options.frame),
+    });
+  }
+  return result;
+}
+
+/**
+* Accuracy of every integrator for a constant twist from identity, where the
+* exact pose is the exponential of the twist times the duration, in either
+* frame.
+* @param {Twist} twist
+* @param {number} duration
+* @param {Object} inputOptions - see integratePose, the integrator is ignored
+* @return {Array} for each of POSE_INTEGRATORS, an Object with fields
+*     integrator: {string},
+*     error: {number} Frobenius norm of the difference to the exact pose,
+*     drift: {number} see rotationDrift
+*/
+export function constantTwistErrors(twist, duration, inputOptions = {}) {
+  const exact = twist.multiply(duration).getTransform();
+  return POSE_INTEGRATORS.map((integrator) => {
+    const poses = integratePose(
+      () => twist,
+      identity(4),
+      duration,
+      { ...inputOptions, integrator },
+    );
+    const { transform } = poses[poses.length - 1];
+    return {
+      integrator,
+      error: norm(subtract(transform, exact), 'fro'),
+      drift: rotationDrift(transform),
+    };
+  });
+}
@@ -0,0 +1,210 @@
+import {
+  add, multiply, transpose, inv, cross, dot, identity,
+} from 'mathjs';
+
+import { rotationMatrixFromTransform, translationFromTransform } from './util';
+import Twist from './twist';
+import Wrench from './wrench';
+import SpatialInertia from './spatial_inertia';
+
+// standard gravity along -z, in the fixed frame
+export const STANDARD_GRAVITY = [0, 0, -9.81];
+
+export const DEFAULT_RIGID_BODY_OPTIONS = {
+  // gravitational acceleration in the fixed frame, acting at the center of
+  // mass, no gravity by default
+  gravity: [0, 0, 0],
+  // Wrench fixed in the body frame, like a thruster
+  bodyWrench: new Wrench([0, 0, 0], [0, 0, 0]),
+  // Wrench fixed in the fixed frame, expressed there
+  spatialWrench: new Wrench([0, 0, 0], [0, 0, 0]),
+};
+
+// Torque free sample motions, see RigidBody.fromPreset.
+export const RIGID_BODY_PRESETS = ['precession', 'intermediateAxis'];
+
+export default class RigidBody {
+  /**
+   * A rigid body with pose g and body twist V, following the Newton-Euler
+   * equations in the body frame, G dV/dt = ad_V^T G V + F, with G the spatial
+   * inertia and F the applied body wrench. Without applied wrenches the
+   * kinetic energy and the spatial momentum are conserved.
+   * @param {SpatialInertia} inertia
+   * @param {mathjs.Matrix} transform - initial pose, defaults to identity
+   * @param {Twist} twist - initial body twist, defaults to zero
+   * @param {Object} inputOptions - overrides of DEFAULT_RIGID_BODY_OPTIONS
+   */
+  constructor(
+    inertia,
+    transform = identity(4),
+    twist = new Twist([0, 0, 0], [0, 0, 0]),
+    inputOptions = {},
+  ) {
+    this.inertia = inertia;
+    this.transform = transform;
+    this.twist = twist;
+    this.options = { ...DEFAULT_RIGID_BODY_OPTIONS, ...inputOptions };
+    // time simulated so far
+    this.time = 0;
+
+    // both are needed at every stage of every step
+    this.inertiaMatrix = inertia.toMatrix();
+    this.inertiaMatrixInverse = inv(this.inertiaMatrix);
+  }
+
+  /**
+   * Sum of the applied wrenches, in the body frame.
+   * @param {mathjs.Matrix} transform - pose, defaults to the current one
+   * @return {Wrench}
+   */
+  getBodyWrench(transform = this.transform) {
+    const { mass, centerOfMass } = this.inertia;
+    const force = multiply(
+      transpose(rotationMatrixFromTransform(transform)),
+      multiply(mass, this.options.gravity),
+    ).toArray();
+    const gravityWrench = new Wrench(force, cross(centerOfMass, force));
+
+    return Wrench.fromCoordinates(add(
+      add(gravityWrench.coordinates, this.options.bodyWrench.coordinates),
+      this.options.spatialWrench.transposeAdjoint(transform).coordinates,
+    ));
+  }
+
+  /**
+   * @param {mathjs.Matrix} transform - pose
+   * @param {Twist} twist - body twist
+   * @return {Array} length 6 coordinates of the body acceleration
+   */
+  acceleration(transform, twist) {
+    const momentum = multiply(this.inertiaMatrix, twist.coordinates);
+    const bias = multiply(transpose(twist.ad()), momentum);
+    return multiply(
+      this.inertiaMatrixInverse,
+      add(this.getBodyWrench(transform).coordinates, bias),
+    ).toArray();
+  }
+
+  /**
+   * Advance the pose and twist by a time step, with the 4th order
+   * Runge-Kutta-Munthe-Kaas method. The pose is updated as
+   * g exp(theta), and dtheta/dt = dexp^-1_-theta(V) is the right Jacobian
+   * inverse of theta applied to V, see Twist.getRightJacobianInverse. So the
+   * pose stays a rigid transform, without re-orthonormalization.
+   * @param {number} timeStep
+   */
+  step(timeStep) {
+    const { transform, twist } = this;
+    // slopes of theta, and accelerations, at the stages
+    const slopes = [];
+    const accelerations = [];
+    // stage points, as fractions of the time step
+    const fractions = [0.5, 0.5, 1];
+    let theta = new Twist([0, 0, 0], [0, 0, 0]);
+    let stageTwist = twist;
+    for (let i = 0; i < 4; i += 1) {
+      slopes.push(Twist.fromCoordinates(
+        multiply(theta.getRightJacobianInverse(), stageTwist.coordinates),
+      ));
+      accelerations.push(this.acceleration(multiply(transform, theta.getTransform()), stageTwist));
+      if (i < 3) {
+        const stageStep = fractions[i] * timeStep;
+        theta = slopes[i].multiply(stageStep);
+        stageTwist = twist.add(Twist.fromCoordinates(accelerations[i]).multiply(stageStep));
+      }
+    }
+
+    const weights = [1, 2, 2, 1].map((weight) => (weight * timeStep) / 6);
+    theta = new Twist([0, 0, 0], [0, 0, 0]);
+    let velocity = twist;
+    weights.forEach((weight, i) => {
+      theta = theta.add(slopes[i].multiply(weight));
+      velocity = velocity.add(Twist.fromCoordinates(accelerations[i]).multiply(weight));
+    });
+
+    this.transform = multiply(transform, theta.getTransform());
+    this.twist = velocity;
+    this.time += timeStep;
+  }
+
+  /**
+   * Advance by a duration, in equal steps no longer than maxTimeStep.
+   * @param {number} duration - non-negative
+   * @param {number} maxTimeStep - positive
+   */
+  advance(duration, maxTimeStep) {
+    if (duration < 0) {
+      throw new Error(`Duration: ${duration} cannot be negative.`);
+    }
+    if (!(maxTimeStep > 0)) {
+      throw new Error(`Max time step: ${maxTimeStep} must be positive.`);
+    }
+    const numSteps = Math.ceil(duration / maxTimeStep);
+    for (let i = 0; i < numSteps; i += 1) {
+      this.step(duration / numSteps);
+    }
+  }
+
+  /**
+   * @return {number}
+   */
+  getKineticEnergy() {
+    return this.inertia.kineticEnergy(this.twist);
+  }
+
+  /**
+   * Potential energy of gravity, zero for the center of mass at the origin.
+   * @return {number}
+   */
+  getPotentialEnergy() {
+    const centerOfMass = add(
+      multiply(rotationMatrixFromTransform(this.transform), this.inertia.centerOfMass),
+      translationFromTransform(this.transform),
+    );
+    return -this.inertia.mass * dot(this.options.gravity, centerOfMass);
+  }
+
+  /**
+   * @return {Wrench} see SpatialInertia.momentum, in the body frame
+   */
+  getBodyMomentum() {
+    return this.inertia.momentum(this.twist);
+  }
+
+  /**
+   * Momentum in the fixed frame, the angular momentum is about the origin of
+   * the fixed frame. Conserved without applied wrenches.
+   * @return {Wrench}
+   */
+  getSpatialMomentum() {
+    return this.getBodyMomentum().inverseTransposeAdjoint(this.transform);
+  }
+
+  /**
+   * A torque free body at identity, in one of the sample motions
+   * - precession: a symmetric body with moments [1, 1, 2], spun about its
+   *   axis of symmetry z with a wobble, so that the axis cones about the fixed
+   *   angular momentum,
+   * - intermediateAxis: a cuboid with moments [13, 10, 5], spun close to its
+   *   intermediate axis y, which flips over and back in turn.
+   * @param {string} name - one of RIGID_BODY_PRESETS
+   * @return {RigidBody}
+   */
+  static fromPreset(name) {
+    if (name === 'precession') {
+      return new RigidBody(
+        SpatialInertia.fromPrincipalMoments(1, [1, 1, 2]),
+        identity(4),
+        new Twist([0, 0, 0], [0.5, 0, 2]),
+      );
+    }
+    if (name === 'intermediateAxis') {
+      return new RigidBody(
+        SpatialInertia.cuboid(12, [1, 2, 3]),
+        identity(4),
+        new Twist([0, 0, 0], [0.01, 2, 0.01]),
+      );
+    }
+    throw new Error(`Unknown rigid body preset: ${name}, must be one of: ${RIGID_BODY_PRESETS}`);
+  }
+}
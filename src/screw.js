@@ -1,5 +1,5 @@
 import {
-  equal, multiply, dot, pow, cross, subtract,
+  multiply, dot, pow, cross, subtract,
   norm, identity, subset, index, abs, max,
 } from 'mathjs';
 import {
@@ -11,9 +11,14 @@ import {
   normalizeVector, setTransformTranslation,
   mathToThreeTransform, getHelixPoints,
 } from './util';
+import { isZero, isClose } from './tolerance';
 
 import Axis from './axis';
 import Twist from './twist';
+import TimeScaling from './time_scaling';
+
+// amethyst color
+const AXIS_VIZ_COLOR = 0x9063CD;
 
 export default class Screw {
   /**
@@ -53,7 +58,7 @@ export default class Screw {
   }
 
   get isPureRotation() {
-    return equal(this.pitch, 0);
+    return isZero(this.pitch);
   }
 
   get isPureTranslation() {
@@ -90,9 +95,9 @@ export default class Screw {
     return (
       // accounts for same direction but different points
       this.axis.equalTo(other.axis)
-        && equal(this.magnitude, other.magnitude)
+        && isClose(this.magnitude, other.magnitude)
       // accounts for infinite pitch
-        && equal(this.pitch, other.pitch)
+        && isClose(this.pitch, other.pitch)
     );
   }
 
@@ -104,6 +109,55 @@ export default class Screw {
     return this.getTransformAtMagnitude(this.magnitude);
   }
 
+  /**
+   * Same as getTransform, on a flat array, see se3.js.
+   * @param {Float64Array} out - length 16, allocated if undefined
+   * @return {Float64Array} row-major 4x4 transform
+   */
+  getTransformArray(out = undefined) {
+    return this.getTwistAtMagnitude(this.magnitude).getTransformArray(out);
+  }
+
+  /**
+   * Time scaling of the magnitude of this screw.
+   * @param {string} profile - one of TIME_SCALING_PROFILES
+   * @param {Object} options - duration, or velocity and acceleration limits,
+   *     see TimeScaling
+   * @return {TimeScaling}
+   */
+  getTimeScaling(profile, options) {
+    return new TimeScaling(profile, this.magnitude, options);
+  }
+
+  /**
+   * Twists at a time along the time scaled screw motion. Since the motion is
+   * about a fixed screw, the spatial and body velocities are the same,
+   * unitTwist times the rate of change of magnitude.
+   * @param {TimeScaling} timeScaling - over the magnitude of this screw
+   * @param {number} time
+   * @return {Object} with fields
+   *     position: {Twist} the exponential of which is the pose,
+   *     velocity: {Twist},
+   *     acceleration: {Twist}
+   */
+  getTwistsAtTime(timeScaling, time) {
+    const { position, velocity, acceleration } = timeScaling.evaluate(time);
+    return {
+      position: this.unitTwist.multiply(position),
+      velocity: this.unitTwist.multiply(velocity),
+      acceleration: this.unitTwist.multiply(acceleration),
+    };
+  }
+
+  /**
+   * @param {TimeScaling} timeScaling - over the magnitude of this screw
+   * @param {number} time
+   * @return {mathjs.Matrix} transform
+   */
+  getTransformAtTime(timeScaling, time) {
+    return this.getTwistsAtTime(timeScaling, time).position.getTransform();
+  }
+
   /**
    * Assuming
    * @param {number} velocity - rate of change of magnitude, must be positive
@@ -158,6 +212,87 @@ export default class Screw {
     return (norm([radius, this.pitch]) * this.magnitude);
   }
 
+  /**
+   * This screw seen after a change of frame, the motion with transform
+   * g exp(xi theta) g^-1. The axis is transformed, the pitch and magnitude
+   * are unchanged.
+   * @param {mathjs.Matrix} transform - g
+   * @return {Screw}
+   */
+  transformedBy(transform) {
+    return new Screw(this.axis.transformedBy(transform), this.pitch, this.magnitude);
+  }
+
+  /**
+   * The reverse motion, with transform exp(-xi theta), about the same line
+   * with the direction flipped. The pitch and magnitude are unchanged.
+   * @return {Screw}
+   */
+  inverse() {
+    return new Screw(
+      new Axis(this.axis.point, this.axis.direction.map((element) => -element)),
+      this.pitch,
+      this.magnitude,
+    );
+  }
+
+  /**
+   * A screw with the same transform, found by adding full turns, or by
+   * rotating the long way round about the flipped axis. The translation along
+   * the axis is kept, so the pitch is scaled to match the new magnitude.
+   * A pure translation has no rotation to change, and is returned as is.
+   * @param {number} winding - non-negative integer, number of extra full turns
+   * @param {bool} longWay - if true, rotate the other way round, about the
+   *     flipped axis, which takes 2 pi - magnitude for an angle in [0, 2 pi)
+   * @return {Screw}
+   */
+  equivalentScrew(winding = 0, longWay = false) {
+    if (!Number.isInteger(winding) || winding < 0) {
+      throw new Error(`Winding: ${winding} must be a non-negative integer.`);
+    }
+
+    if (this.isPureTranslation) {
+      return this;
+    }
+
+    // translation along the axis direction
+    const translation = this.pitch * this.magnitude;
+
+    if (!longWay) {
+      const magnitude = this.magnitude + 2 * Math.PI * winding;
+      if (winding === 0 || isZero(magnitude)) {
+        return this;
+      }
+      return new Screw(this.axis, translation / magnitude, magnitude);
+    }
+
+    // the first full turn past this magnitude, and extra windings
+    const turns = Math.floor(this.magnitude / (2 * Math.PI)) + 1 + winding;
+    const magnitude = 2 * Math.PI * turns - this.magnitude;
+    return new Screw(this.inverse().axis, -translation / magnitude, magnitude);
+  }
+
+  /**
+   * Equivalent screws by winding, each followed by its long way screw, see
+   * equivalentScrew. For a magnitude in [0, pi], this is in order of
+   * magnitude.
+   * @param {number} maxWinding - non-negative integer
+   * @return {Array} Objects with fields winding, longWay, screw
+   */
+  equivalentScrews(maxWinding) {
+    if (this.isPureTranslation) {
+      return [{ winding: 0, longWay: false, screw: this }];
+    }
+
+    const result = [];
+    for (let winding = 0; winding <= maxWinding; winding += 1) {
+      [false, true].forEach((longWay) => {
+        result.push({ winding, longWay, screw: this.equivalentScrew(winding, longWay) });
+      });
+    }
+    return result;
+  }
+
   /**
    * From MLS Eqs (2.42)-(2.44), page 47-48.
    * @param {Twist} twist
@@ -170,7 +305,7 @@ export default class Screw {
     // twist norm is also the screw magnitude, and takes into account pure translation
     const twistNorm = twist.norm();
 
-    if (equal(twistNorm, 0)) {
+    if (isZero(twistNorm)) {
       // the zero twist, choose some conventional values
       pitch = Infinity;
       point = [0, 0, 0];
@@ -195,6 +330,62 @@ export default class Screw {
     return new Screw(new Axis(point, direction), pitch, twistNorm);
   }
 
+  /**
+   * Normalized screw coordinates of the screw in Plucker form, the unit
+   * twist with angular part first. Unlike Axis.getPluckerCoordinates, the
+   * moment has a pitch times direction component, and for a pure translation
+   * the direction is zero and the moment is the unit translation direction.
+   * @return {Object} with fields direction, moment
+   */
+  getPluckerCoordinates() {
+    return {
+      direction: this.unitTwist.angular.slice(),
+      moment: this.unitTwist.linear.slice(),
+    };
+  }
+
+  /**
+   * Inverse of getPluckerCoordinates, the coordinates are homogeneous and
+   * are normalized first. The pitch is direction . moment / |direction|^2.
+   * @param {Array} direction - zero for a pure translation
+   * @param {Array} moment - along the translation for a pure translation
+   * @param {number} magnitude
+   * @return {Screw}
+   */
+  static fromPluckerCoordinates(direction, moment, magnitude) {
+    const coordinates = new Twist(moment, direction);
+    if (isZero(coordinates.norm())) {
+      throw new Error('Plucker coordinates of a screw cannot both be zero.');
+    }
+    const { axis, pitch } = Screw.fromTwist(coordinates);
+    return new Screw(axis, pitch, magnitude);
+  }
+
+  /**
+   * The screw equivalent to the motion along first, then along second, with
+   * both screws in the fixed frame, so the transform is
+   * second.getTransform() first.getTransform().
+   * The three axes form the screw triangle, with the common normal of each
+   * pair of axes as a side.
+   * @param {Screw} first
+   * @param {Screw} second
+   * @return {Object} with fields
+   *     screw: {Screw} the composed screw, see fromTransform for its axis if
+   *         the composed motion is zero,
+   *     axes: {Array} axes of first, second and screw,
+   *     commonNormals: {Array} of axes[i].commonNormal(axes[(i + 1) % 3]),
+   *         i.e. first to second, second to screw, and screw to first
+   */
+  static compose(first, second) {
+    const screw = Screw.fromTransform(multiply(second.getTransform(), first.getTransform()));
+    const axes = [first.axis, second.axis, screw.axis];
+    return {
+      screw,
+      axes,
+      commonNormals: axes.map((axis, i) => axis.commonNormal(axes[(i + 1) % 3])),
+    };
+  }
+
   /**
    * Convenience method
    * @param {mathjs.Matrix} transform
@@ -204,11 +395,21 @@ export default class Screw {
     return Screw.fromTwist(Twist.fromTransform(transform));
   }
 
+  /**
+   * Same as fromTransform, on a flat array, see se3.js.
+   * @param {Float64Array} transform - row-major 4x4 transform
+   * @return {Screw}
+   */
+  static fromTransformArray(transform) {
+    return Screw.fromTwist(Twist.fromTransformArray(transform));
+  }
+
   /**
    * Returns a straight line along z, use getVizTransform to position it.
+   * @param {number} color - defaults to amethyst
    * @return {threejs.Mesh} object that can be added to scene
    */
-  getAxisThreeViz() {
+  getAxisThreeViz(color = AXIS_VIZ_COLOR) {
     let axisLength;
     if (this.isPureRotation) {
       // TODO: arbitrary length
@@ -244,8 +445,7 @@ export default class Screw {
       tubeRadialSegments,
       tubeClosed,
     );
-    // amethyst color
-    const material = new MeshBasicMaterial({ color: 0x9063CD });
+    const material = new MeshBasicMaterial({ color });
     const object = new Mesh(geometry, material);
     return object;
   }
@@ -278,8 +478,7 @@ export default class Screw {
       tubeRadialSegments,
       tubeClosed,
     );
-    // amethyst color
-    const material = new MeshBasicMaterial({ color: 0x9063CD });
+    const material = new MeshBasicMaterial({ color: AXIS_VIZ_COLOR });
     const object = new Mesh(geometry, material);
     return object;
   }
@@ -292,13 +491,13 @@ export default class Screw {
     const translation = this.axis.getClosestPointToOrigin();
 
     let xUnprojected;
-    if (equal(norm(translation), 0)) {
+    if (isZero(norm(translation))) {
       // zero translation
       // Since the viz ref starts at 0, this means the ref axes will remain on
       // the viz axis. Any x, y will do.
       // First try global x.
       xUnprojected = [1, 0, 0];
-      if (equal(abs(dot(xUnprojected, this.axis.direction)), 1)) {
+      if (isClose(abs(dot(xUnprojected, this.axis.direction)), 1, 'angle')) {
         // If axis direction is along x already, use global y.
         xUnprojected = [0, 1, 0];
       }
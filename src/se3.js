@@ -0,0 +1,210 @@
+/* eslint no-param-reassign: ["error", { "props": false }] */
+import { rotationSeriesCoefficients, NEAR_PI_COSINE } from './util';
+
+// Closed form SE(3) mappings on flat Float64Array objects, for converting
+// many poses without allocating mathjs matrices.
+// Transforms are 4x4 in row-major order, the same element order as
+// mathjs.Matrix.forEach. Twist coordinates are linear then angular, the same
+// as Twist.coordinates.
+// Every function takes an optional out array, which is allocated if not
+// given, and may be the same as an input.
+
+/**
+* @param {Float64Array} out - length 16
+* @return {Float64Array} identity transform
+*/
+export function identityTransformArray(out = new Float64Array(16)) {
+  out.fill(0);
+  out[0] = 1;
+  out[5] = 1;
+  out[10] = 1;
+  out[15] = 1;
+  return out;
+}
+
+/**
+* @param {mathjs.Matrix or Array} transform - 4x4
+* @param {Float64Array} out - length 16
+* @return {Float64Array}
+*/
+export function transformArrayFromMatrix(transform, out = new Float64Array(16)) {
+  // valueOf gives the nested Array for both types
+  const rows = transform.valueOf();
+  for (let i = 0; i < 4; i += 1) {
+    for (let j = 0; j < 4; j += 1) {
+      out[4 * i + j] = rows[i][j];
+    }
+  }
+  return out;
+}
+
+/**
+* @param {Float64Array} transform - length 16
+* @return {Array} nested 4x4 Array, which can be passed to mathjs.matrix
+*/
+export function nestedArrayFromTransformArray(transform) {
+  return [0, 1, 2, 3].map((i) => Array.from(transform.subarray(4 * i, 4 * i + 4)));
+}
+
+/**
+* Product a b of two transforms. The last row is taken to be [0, 0, 0, 1].
+* @param {Float64Array} a - length 16
+* @param {Float64Array} b - length 16
+* @param {Float64Array} out - length 16
+* @return {Float64Array}
+*/
+export function multiplyTransformArrays(a, b, out = new Float64Array(16)) {
+  const a00 = a[0]; const a01 = a[1]; const a02 = a[2]; const a03 = a[3];
+  const a10 = a[4]; const a11 = a[5]; const a12 = a[6]; const a13 = a[7];
+  const a20 = a[8]; const a21 = a[9]; const a22 = a[10]; const a23 = a[11];
+  const b00 = b[0]; const b01 = b[1]; const b02 = b[2]; const b03 = b[3];
+  const b10 = b[4]; const b11 = b[5]; const b12 = b[6]; const b13 = b[7];
+  const b20 = b[8]; const b21 = b[9]; const b22 = b[10]; const b23 = b[11];
+
+  out[0] = a00 * b00 + a01 * b10 + a02 * b20;
+  out[1] = a00 * b01 + a01 * b11 + a02 * b21;
+  out[2] = a00 * b02 + a01 * b12 + a02 * b22;
+  out[3] = a00 * b03 + a01 * b13 + a02 * b23 + a03;
+  out[4] = a10 * b00 + a11 * b10 + a12 * b20;
+  out[5] = a10 * b01 + a11 * b11 + a12 * b21;
+  out[6] = a10 * b02 + a11 * b12 + a12 * b22;
+  out[7] = a10 * b03 + a11 * b13 + a12 * b23 + a13;
+  out[8] = a20 * b00 + a21 * b10 + a22 * b20;
+  out[9] = a20 * b01 + a21 * b11 + a22 * b21;
+  out[10] = a20 * b02 + a21 * b12 + a22 * b22;
+  out[11] = a20 * b03 + a21 * b13 + a22 * b23 + a23;
+  out[12] = 0;
+  out[13] = 0;
+  out[14] = 0;
+  out[15] = 1;
+  return out;
+}
+
+/**
+* Inverse [R^T, -R^T p] of a transform [R, p].
+* @param {Float64Array} transform - length 16
+* @param {Float64Array} out - length 16
+* @return {Float64Array}
+*/
+export function invertTransformArray(transform, out = new Float64Array(16)) {
+  const r00 = transform[0]; const r01 = transform[1]; const r02 = transform[2];
+  const r10 = transform[4]; const r11 = transform[5]; const r12 = transform[6];
+  const r20 = transform[8]; const r21 = transform[9]; const r22 = transform[10];
+  const px = transform[3]; const py = transform[7]; const pz = transform[11];
+
+  out[0] = r00; out[1] = r10; out[2] = r20;
+  out[4] = r01; out[5] = r11; out[6] = r21;
+  out[8] = r02; out[9] = r12; out[10] = r22;
+  out[3] = -(r00 * px + r10 * py + r20 * pz);
+  out[7] = -(r01 * px + r11 * py + r21 * pz);
+  out[11] = -(r02 * px + r12 * py + r22 * pz);
+  out[12] = 0;
+  out[13] = 0;
+  out[14] = 0;
+  out[15] = 1;
+  return out;
+}
+
+/**
+* Exponential of a twist, same mapping as Twist.getTransform.
+* R = I + a w^ + b w^2 and p = (I + b w^ + c w^2) v, using
+* w^2 = w w^T - angle^2 I.
+* @param {Float64Array or Array} twist - length 6 coordinates
+* @param {Float64Array} out - length 16
+* @return {Float64Array} transform
+*/
+export function transformArrayFromTwist(twist, out = new Float64Array(16)) {
+  const vx = twist[0]; const vy = twist[1]; const vz = twist[2];
+  const wx = twist[3]; const wy = twist[4]; const wz = twist[5];
+  const angleSquared = wx * wx + wy * wy + wz * wz;
+  const { a, b, c } = rotationSeriesCoefficients(Math.sqrt(angleSquared));
+
+  const bxy = b * wx * wy; const bxz = b * wx * wz; const byz = b * wy * wz;
+  const rotationDiagonal = 1 - b * angleSquared;
+  out[0] = rotationDiagonal + b * wx * wx;
+  out[1] = bxy - a * wz;
+  out[2] = bxz + a * wy;
+  out[4] = bxy + a * wz;
+  out[5] = rotationDiagonal + b * wy * wy;
+  out[6] = byz - a * wx;
+  out[8] = bxz - a * wy;
+  out[9] = byz + a * wx;
+  out[10] = rotationDiagonal + b * wz * wz;
+
+  // V v = (1 - c angle^2) v + c (w . v) w + b (w x v)
+  const vDiagonal = 1 - c * angleSquared;
+  const cDot = c * (wx * vx + wy * vy + wz * vz);
+  out[3] = vDiagonal * vx + cDot * wx + b * (wy * vz - wz * vy);
+  out[7] = vDiagonal * vy + cDot * wy + b * (wz * vx - wx * vz);
+  out[11] = vDiagonal * vz + cDot * wz + b * (wx * vy - wy * vx);
+
+  out[12] = 0;
+  out[13] = 0;
+  out[14] = 0;
+  out[15] = 1;
+  return out;
+}
+
+/**
+* Logarithm of a transform, same mapping as Twist.fromTransform.
+* The rotation vector follows axisAngleFromRotationMatrix, and
+* v = (I - 1/2 w^ + d w^2) p.
+* @param {Float64Array} transform - length 16
+* @param {Float64Array} out - length 6
+* @return {Float64Array} twist coordinates, the angle is in [0, pi]
+*/
+export function twistFromTransformArray(transform, out = new Float64Array(6)) {
+  const r00 = transform[0]; const r01 = transform[1]; const r02 = transform[2];
+  const r10 = transform[4]; const r11 = transform[5]; const r12 = transform[6];
+  const r20 = transform[8]; const r21 = transform[9]; const r22 = transform[10];
+
+  // The skew part has norm 2 sin(angle).
+  const sx = r21 - r12;
+  const sy = r02 - r20;
+  const sz = r10 - r01;
+  const cosAngle = Math.max(-1, Math.min(1, (r00 + r11 + r22 - 1) * 0.5));
+  const angle = Math.atan2(0.5 * Math.sqrt(sx * sx + sy * sy + sz * sz), cosAngle);
+  const { d, e } = rotationSeriesCoefficients(angle);
+
+  let wx;
+  let wy;
+  let wz;
+  if (cosAngle > NEAR_PI_COSINE) {
+    wx = e * sx;
+    wy = e * sy;
+    wz = e * sz;
+  } else {
+    // Symmetric part (1 - cos(angle)) w w^T, use the column with the
+    // largest diagonal element.
+    const d0 = r00 - cosAngle; const d1 = r11 - cosAngle; const d2 = r22 - cosAngle;
+    let ux;
+    let uy;
+    let uz;
+    if (d0 >= d1 && d0 >= d2) {
+      ux = d0; uy = 0.5 * (r01 + r10); uz = 0.5 * (r02 + r20);
+    } else if (d1 >= d2) {
+      ux = 0.5 * (r01 + r10); uy = d1; uz = 0.5 * (r12 + r21);
+    } else {
+      ux = 0.5 * (r02 + r20); uy = 0.5 * (r12 + r21); uz = d2;
+    }
+    let scale = angle / Math.sqrt(ux * ux + uy * uy + uz * uz);
+    if (ux * sx + uy * sy + uz * sz < 0) {
+      scale = -scale;
+    }
+    wx = scale * ux;
+    wy = scale * uy;
+    wz = scale * uz;
+  }
+
+  // v = (1 - d angle^2) p + d (w . p) w - 1/2 (w x p)
+  const px = transform[3]; const py = transform[7]; const pz = transform[11];
+  const pDiagonal = 1 - d * angle * angle;
+  const dDot = d * (wx * px + wy * py + wz * pz);
+  out[0] = pDiagonal * px + dDot * wx - 0.5 * (wy * pz - wz * py);
+  out[1] = pDiagonal * py + dDot * wy - 0.5 * (wz * px - wx * pz);
+  out[2] = pDiagonal * pz + dDot * wz - 0.5 * (wx * py - wy * px);
+  out[3] = wx;
+  out[4] = wy;
+  out[5] = wz;
+  return out;
+}
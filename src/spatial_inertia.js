@@ -0,0 +1,104 @@
+import {
+  subtract, multiply, dot, diag, index, subset, zeros, identity, transpose, Matrix,
+} from 'mathjs';
+
+import { vectorHat } from './util';
+import { matricesClose } from './tolerance';
+import Wrench from './wrench';
+
+export default class SpatialInertia {
+  /**
+   * Mass properties of a rigid body, in the body frame.
+   * @param {number} mass - positive
+   * @param {mathjs.Matrix or Array} rotationalInertia - 3x3 symmetric, about
+   *     the center of mass, in the axes of the body frame
+   * @param {Array} centerOfMass - length 3, in the body frame, defaults to
+   *     the origin
+   */
+  constructor(mass, rotationalInertia, centerOfMass = [0, 0, 0]) {
+    if (!(mass > 0)) {
+      throw new Error(`Mass: ${mass} must be positive.`);
+    }
+    let inertia = rotationalInertia;
+    if (rotationalInertia instanceof Matrix) {
+      inertia = rotationalInertia.toArray();
+    }
+    if (!matricesClose(inertia, transpose(inertia))) {
+      throw new Error(`Rotational inertia: ${inertia} must be symmetric.`);
+    }
+
+    this.mass = mass;
+    this.rotationalInertia = inertia;
+    this.centerOfMass = centerOfMass;
+  }
+
+  /**
+   * @param {number} mass
+   * @param {Array} moments - length 3, principal moments about the center of
+   *     mass, along the axes of the body frame
+   * @param {Array} centerOfMass - see constructor
+   * @return {SpatialInertia}
+   */
+  static fromPrincipalMoments(mass, moments, centerOfMass = [0, 0, 0]) {
+    return new SpatialInertia(mass, diag(moments), centerOfMass);
+  }
+
+  /**
+   * A uniform solid cuboid with its edges along the axes of the body frame.
+   * @param {number} mass
+   * @param {Array} dimensions - length 3, edge lengths along x, y, z
+   * @param {Array} centerOfMass - see constructor, the center of the cuboid
+   * @return {SpatialInertia}
+   */
+  static cuboid(mass, dimensions, centerOfMass = [0, 0, 0]) {
+    const squares = dimensions.map((length) => length * length);
+    return SpatialInertia.fromPrincipalMoments(
+      mass,
+      [0, 1, 2].map((i) => (mass * (squares[(i + 1) % 3] + squares[(i + 2) % 3])) / 12),
+      centerOfMass,
+    );
+  }
+
+  /**
+   * The 6x6 spatial inertia about the origin of the body frame, for twist
+   * coordinates ordered linear then angular:
+   * [[m I, -m c^], [m c^, I_c - m c^ c^]], with c the center of mass.
+   * @return {mathjs.Matrix} 6x6 symmetric matrix
+   */
+  toMatrix() {
+    const massCenterHat = multiply(this.mass, vectorHat(this.centerOfMass));
+
+    let result = zeros(6, 6);
+    result = subset(result, index([0, 1, 2], [0, 1, 2]), multiply(this.mass, identity(3)));
+    result = subset(result, index([0, 1, 2], [3, 4, 5]), multiply(-1, massCenterHat));
+    result = subset(result, index([3, 4, 5], [0, 1, 2]), massCenterHat);
+    result = subset(
+      result,
+      index([3, 4, 5], [3, 4, 5]),
+      subtract(
+        this.rotationalInertia,
+        multiply(massCenterHat, vectorHat(this.centerOfMass)),
+      ),
+    );
+    return result;
+  }
+
+  /**
+   * Momentum of the body moving with a body twist. Momentum pairs with twists
+   * the way wrenches do: linear momentum as the force, angular momentum about
+   * the origin of the body frame as the moment.
+   * @param {Twist} twist - body twist
+   * @return {Wrench} in the body frame
+   */
+  momentum(twist) {
+    return Wrench.fromCoordinates(multiply(this.toMatrix(), twist.coordinates));
+  }
+
+  /**
+   * @param {Twist} twist - body twist
+   * @return {number}
+   */
+  kineticEnergy(twist) {
+    return 0.5 * dot(twist.coordinates, this.momentum(twist).coordinates);
+  }
+}
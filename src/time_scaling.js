@@ -0,0 +1,183 @@
+// Profiles of the magnitude along a path, as a function of time.
+// constant is the constant velocity motion used by Application before
+// profiles were added.
+export const TIME_SCALING_PROFILES = ['constant', 'trapezoidal', 'cubic', 'quintic', 'minimumJerk'];
+
+// For the polynomial profiles s(tau) with s(0) = 0 and s(1) = 1, the peak of
+// ds/dtau and d2s/dtau2. With tau = t / T, the peak velocity is
+// distance * peak / T, and the peak acceleration is distance * peak / T^2.
+const POLYNOMIAL_PEAKS = new Map([
+  ['cubic', { velocity: 1.5, acceleration: 6 }],
+  ['quintic', { velocity: 1.875, acceleration: 10 / Math.sqrt(3) }],
+]);
+
+// Given only a duration, the trapezoidal profile accelerates for a third of
+// it, so the cruise velocity is 1.5 distance / duration.
+const TRAPEZOIDAL_ACCELERATION_FRACTION = 1 / 3;
+
+/**
+* @param {string} profile
+* @param {number} tau - normalized time, between [0, 1]
+* @return {Array} s and its first two derivatives with respect to tau
+*/
+function polynomialScaling(profile, tau) {
+  if (profile === 'cubic') {
+    return [
+      3 * tau ** 2 - 2 * tau ** 3,
+      6 * tau - 6 * tau ** 2,
+      6 - 12 * tau,
+    ];
+  }
+  // quintic
+  return [
+    10 * tau ** 3 - 15 * tau ** 4 + 6 * tau ** 5,
+    30 * tau ** 2 - 60 * tau ** 3 + 30 * tau ** 4,
+    60 * tau - 180 * tau ** 2 + 120 * tau ** 3,
+  ];
+}
+
+/**
+* @param {string} name
+* @param {number} value
+*/
+function checkPositive(name, value) {
+  if (!(value > 0)) {
+    throw new Error(`${name}: ${value} must be positive.`);
+  }
+}
+
+export default class TimeScaling {
+  /**
+   * Rest to rest motion over a distance, see Lynch and Park, Modern Robotics,
+   * Section 9.2.
+   * minimumJerk is the quintic, which is the rest to rest polynomial of
+   * minimum integrated squared jerk.
+   * @param {string} profile - one of TIME_SCALING_PROFILES
+   * @param {number} distance - non-negative, e.g. a screw magnitude
+   * @param {Object} options - with fields
+   *     duration: {number} if defined, the limits are ignored,
+   *     maxVelocity: {number} positive,
+   *     maxAcceleration: {number} positive, not used by constant.
+   *     Without a duration, the shortest duration within the given limits is
+   *     used, and at least one limit is needed.
+   */
+  constructor(profile, distance, options = {}) {
+    if (!TIME_SCALING_PROFILES.includes(profile)) {
+      throw new Error(`Unknown time scaling profile: ${profile}, must be one of: ${TIME_SCALING_PROFILES}`);
+    }
+    if (distance < 0) {
+      throw new Error(`Distance: ${distance} cannot be negative.`);
+    }
+
+    this.profile = profile;
+    this.distance = distance;
+
+    const { duration, maxVelocity, maxAcceleration } = options;
+    if (!(duration === undefined)) {
+      if (duration < 0) {
+        throw new Error(`Duration: ${duration} cannot be negative.`);
+      }
+      this.duration = duration;
+      if (profile === 'trapezoidal' && duration > 0) {
+        const accelerationTime = TRAPEZOIDAL_ACCELERATION_FRACTION * duration;
+        this.cruiseVelocity = distance / (duration - accelerationTime);
+        this.acceleration = this.cruiseVelocity / accelerationTime;
+      }
+      return;
+    }
+
+    if (maxVelocity === undefined && maxAcceleration === undefined) {
+      throw new Error('Time scaling needs a duration, or velocity and acceleration limits.');
+    }
+    if (!(maxVelocity === undefined)) {
+      checkPositive('Max velocity', maxVelocity);
+    }
+    if (!(maxAcceleration === undefined)) {
+      checkPositive('Max acceleration', maxAcceleration);
+    }
+
+    if (profile === 'constant') {
+      if (maxVelocity === undefined) {
+        throw new Error('Constant time scaling needs a max velocity.');
+      }
+      this.duration = distance / maxVelocity;
+    } else if (profile === 'trapezoidal') {
+      if (maxVelocity === undefined || maxAcceleration === undefined) {
+        throw new Error('Trapezoidal time scaling needs both max velocity and max acceleration.');
+      }
+      this.acceleration = maxAcceleration;
+      // triangular if the max velocity is not reached
+      this.cruiseVelocity = Math.min(maxVelocity, Math.sqrt(distance * maxAcceleration));
+      this.duration = this.cruiseVelocity > 0
+        ? distance / this.cruiseVelocity + this.cruiseVelocity / maxAcceleration
+        : 0;
+    } else {
+      const peaks = POLYNOMIAL_PEAKS.get(this.polynomial);
+      let minDuration = 0;
+      if (!(maxVelocity === undefined)) {
+        minDuration = Math.max(minDuration, (peaks.velocity * distance) / maxVelocity);
+      }
+      if (!(maxAcceleration === undefined)) {
+        minDuration = Math.max(
+          minDuration,
+          Math.sqrt((peaks.acceleration * distance) / maxAcceleration),
+        );
+      }
+      this.duration = minDuration;
+    }
+  }
+
+  /**
+   * @return {string} the polynomial used, for the polynomial profiles
+   */
+  get polynomial() {
+    return this.profile === 'minimumJerk' ? 'quintic' : this.profile;
+  }
+
+  /**
+   * Before the start the motion is at rest at 0, and after the end at rest at
+   * distance. With a zero duration, the end is at time 0.
+   * @param {number} time
+   * @return {Object} with fields position, velocity, acceleration
+   */
+  evaluate(time) {
+    if (time >= this.duration) {
+      return { position: this.distance, velocity: 0, acceleration: 0 };
+    }
+    if (time <= 0) {
+      return { position: 0, velocity: 0, acceleration: 0 };
+    }
+
+    const T = this.duration;
+    const L = this.distance;
+
+    if (this.profile === 'constant') {
+      return { position: (L * time) / T, velocity: L / T, acceleration: 0 };
+    }
+
+    if (this.profile === 'trapezoidal') {
+      const a = this.acceleration;
+      const v = this.cruiseVelocity;
+      const accelerationTime = v / a;
+      if (time < accelerationTime) {
+        return { position: 0.5 * a * time ** 2, velocity: a * time, acceleration: a };
+      }
+      if (time <= T - accelerationTime) {
+        return {
+          position: 0.5 * a * accelerationTime ** 2 + v * (time - accelerationTime),
+          velocity: v,
+          acceleration: 0,
+        };
+      }
+      const remaining = T - time;
+      return { position: L - 0.5 * a * remaining ** 2, velocity: a * remaining, acceleration: -a };
+    }
+
+    const [s, sDot, sDotDot] = polynomialScaling(this.polynomial, time / T);
+    return {
+      position: L * s,
+      velocity: (L * sDot) / T,
+      acceleration: (L * sDotDot) / T ** 2,
+    };
+  }
+}
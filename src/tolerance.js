@@ -0,0 +1,116 @@
+import { abs, max } from 'mathjs';
+
+/**
+* Tolerances used by every zero and equality check in the library.
+* Two values a, b are close if |a - b| <= max(absolute, relative * max(|a|, |b|)),
+* and a value is zero if |value| <= absolute.
+* Angles are in rad, lengths in the units of the transforms, and matrix
+* tolerances apply to each element.
+* Twist.norm is exempt, it switches to the linear component only on an exact
+* zero angular component, so that the norm of a tiny rotation is its angle.
+*/
+export const DEFAULT_TOLERANCES = {
+  angle: { absolute: 1e-10, relative: 1e-12 },
+  length: { absolute: 1e-10, relative: 1e-12 },
+  matrix: { absolute: 1e-10, relative: 1e-12 },
+  // Distance in rad of the middle Euler angle from its singular values, below
+  // which the angles are flagged as gimbal locked. Looser than angle, since
+  // the outer angles are already ill-conditioned close to the singularity.
+  gimbalLock: { absolute: 1e-7, relative: 0 },
+};
+
+// the configuration in use, changed with setTolerance
+let tolerances;
+
+/**
+* @param {string} kind - one of the keys of DEFAULT_TOLERANCES
+*/
+function checkKind(kind) {
+  if (!(kind in DEFAULT_TOLERANCES)) {
+    throw new Error(`Unknown tolerance kind: ${kind}, must be one of: ${Object.keys(DEFAULT_TOLERANCES)}`);
+  }
+}
+
+/**
+* Restore DEFAULT_TOLERANCES for every kind.
+*/
+export function resetTolerances() {
+  tolerances = {};
+  Object.keys(DEFAULT_TOLERANCES).forEach((kind) => {
+    tolerances[kind] = { ...DEFAULT_TOLERANCES[kind] };
+  });
+}
+
+resetTolerances();
+
+/**
+* @param {string} kind - 'angle', 'length', 'matrix' or 'gimbalLock'
+* @return {Object} copy of the tolerance, with fields absolute, relative
+*/
+export function getTolerance(kind) {
+  checkKind(kind);
+  return { ...tolerances[kind] };
+}
+
+/**
+* @param {string} kind - 'angle', 'length', 'matrix' or 'gimbalLock'
+* @param {Object} tolerance - with fields absolute and/or relative, missing
+*     fields are left unchanged
+*/
+export function setTolerance(kind, tolerance) {
+  checkKind(kind);
+  ['absolute', 'relative'].forEach((field) => {
+    const value = tolerance[field];
+    if (value === undefined) {
+      return;
+    }
+    if (!(value >= 0)) {
+      throw new Error(`Tolerance ${kind} ${field}: ${value} must be non-negative.`);
+    }
+    tolerances[kind][field] = value;
+  });
+}
+
+/**
+* @param {number} value
+* @param {string} kind - 'angle', 'length', 'matrix' or 'gimbalLock', defaults to 'length'
+* @return {bool} true if within the absolute tolerance of zero
+*/
+export function isZero(value, kind = 'length') {
+  checkKind(kind);
+  return abs(value) <= tolerances[kind].absolute;
+}
+
+/**
+* Also true for equal infinite values.
+* @param {number} value1
+* @param {number} value2
+* @param {string} kind - 'angle', 'length', 'matrix' or 'gimbalLock', defaults to 'length'
+* @return {bool} true if within tolerance of each other
+*/
+export function isClose(value1, value2, kind = 'length') {
+  checkKind(kind);
+  if (value1 === value2) {
+    return true;
+  }
+  if (!Number.isFinite(value1) || !Number.isFinite(value2)) {
+    return false;
+  }
+  const { absolute, relative } = tolerances[kind];
+  return abs(value1 - value2) <= max(absolute, relative * max(abs(value1), abs(value2)));
+}
+
+/**
+* Element-wise isClose with the matrix tolerance.
+* @param {mathjs.Matrix or Array} matrix1
+* @param {mathjs.Matrix or Array} matrix2 - same size as matrix1
+* @return {bool}
+*/
+export function matricesClose(matrix1, matrix2) {
+  const array1 = matrix1.valueOf().flat();
+  const array2 = matrix2.valueOf().flat();
+  if (!(array1.length === array2.length)) {
+    throw new Error(`Sizes do not match: ${array1.length} and ${array2.length} elements.`);
+  }
+  return array1.every((value, i) => isClose(value, array2[i], 'matrix'));
+}
@@ -1,14 +1,33 @@
 /* eslint max-len: 0 */
 import {
   zeros, index, subset, multiply as mathjsMultiply, norm, identity,
-  subtract, cross, pow, inv, equal, add, Matrix,
+  subtract, cross, add, Matrix,
 } from 'mathjs';
 
 import {
-  vectorHat, rotationMatrixFromAxisAngle, axisAngleFromRotationMatrix,
-  normalizeVector, translationFromTransform, transformHasIdentityRotation,
+  vectorHat, rotationMatrixFromRotationVector, axisAngleFromRotationMatrix,
+  rotationSeriesCoefficients, jacobianSeriesCoefficients, translationFromTransform,
   setTransformTranslation, setTransformRotation, rotationMatrixFromTransform,
+  inverseTransform,
 } from './util';
+import { isZero } from './tolerance';
+import { transformArrayFromTwist, twistFromTransformArray } from './se3';
+
+// Highest order of brackets implemented for the BCH approximation.
+export const BCH_MAX_ORDER = 4;
+
+/**
+* @param {mathjs.Matrix} diagonal - 3x3, both diagonal blocks
+* @param {mathjs.Matrix} upperRight - 3x3
+* @return {mathjs.Matrix} 6x6 block upper triangular matrix
+*/
+function blockUpperTriangular(diagonal, upperRight) {
+  let result = zeros(6, 6);
+  result = subset(result, index([0, 1, 2], [0, 1, 2]), diagonal);
+  result = subset(result, index([0, 1, 2], [3, 4, 5]), upperRight);
+  result = subset(result, index([3, 4, 5], [3, 4, 5]), diagonal);
+  return result;
+}
 
 export default class Twist {
   /**
@@ -42,25 +61,40 @@ export default class Twist {
     return this.linear.concat(this.angular);
   }
 
+  /**
+   * Inverse of the coordinates getter.
+   * @param {mathjs.Matrix or Array} coordinates - length 6, linear then angular
+   * @return {Twist}
+   */
+  static fromCoordinates(coordinates) {
+    let array = coordinates;
+    if (coordinates instanceof Matrix) {
+      array = coordinates.toArray();
+    }
+    return new Twist(array.slice(0, 3), array.slice(3, 6));
+  }
+
   get isPureTranslation() {
-    return equal(norm(this.angular), 0);
+    return isZero(norm(this.angular), 'angle');
   }
 
   get isPureRotation() {
-    return equal(norm(this.linear), 0);
+    return isZero(norm(this.linear));
   }
 
   /**
-   * If pure translation, returns norm of linear component,
-   * else norm of angular component.
+   * If the angular component is exactly zero, returns norm of linear
+   * component, else norm of angular component. Unlike isPureTranslation this
+   * has no tolerance, so that the norm of a tiny rotation is its angle.
    * @return {Number}
    */
   norm() {
-    if (this.isPureTranslation) {
+    const angularNorm = norm(this.angular);
+    if (angularNorm === 0) {
       return norm(this.linear);
     }
 
-    return norm(this.angular);
+    return angularNorm;
   }
 
   /**
@@ -87,6 +121,18 @@ export default class Twist {
     );
   }
 
+  /**
+   * Returns a new twist, the sum of this and another.
+   * @param {Twist} other
+   * @return {Twist}
+   */
+  add(other) {
+    return new Twist(
+      add(this.linear, other.linear),
+      add(this.angular, other.angular),
+    );
+  }
+
   /**
    * Returns a new unit twist in the same direction as this.
    * @return {Twist}
@@ -96,86 +142,277 @@ export default class Twist {
     return this.multiply(1 / this.norm());
   }
 
+  /**
+   * The 6x6 matrix of the adjoint action of se(3) on itself,
+   * such that ad() * other.coordinates is the Lie bracket [this, other].
+   * @return {mathjs.Matrix} 6x6 matrix
+   */
+  ad() {
+    const angularHat = vectorHat(this.angular);
+
+    let result = zeros(6, 6);
+    result = subset(result, index([0, 1, 2], [0, 1, 2]), angularHat);
+    result = subset(result, index([0, 1, 2], [3, 4, 5]), vectorHat(this.linear));
+    result = subset(result, index([3, 4, 5], [3, 4, 5]), angularHat);
+    return result;
+  }
+
+  /**
+   * The Lie bracket [this, other], which is the twist of the matrix
+   * commutator this^ other^ - other^ this^.
+   * @param {Twist} other
+   * @return {Twist}
+   */
+  bracket(other) {
+    return new Twist(
+      add(cross(this.angular, other.linear), cross(this.linear, other.angular)),
+      cross(this.angular, other.angular),
+    );
+  }
+
   /**
    * Transform corresponding to this twist
-   * From MLS Eq (2.36), page 42.
+   * From MLS Eq (2.36), page 42, written for the angular component with the
+   * magnitude folded in: R = exp(w^), and the translation is V v with
+   * V = I + b w^ + c w^2, using the coefficients from
+   * rotationSeriesCoefficients. This also covers pure translation.
    * @return {mathjs.Matrix}
    */
   getTransform() {
-    // start with identity
-    let g = identity(4);
+    const { b, c } = rotationSeriesCoefficients(norm(this.angular));
+    const angularHat = vectorHat(this.angular);
+    const V = add(
+      identity(3),
+      mathjsMultiply(angularHat, b),
+      mathjsMultiply(mathjsMultiply(angularHat, angularHat), c),
+    );
 
-    if (this.isPureTranslation) {
-      g = setTransformTranslation(g, this.linear.slice());
-      return g;
-    }
+    let g = identity(4);
+    g = setTransformRotation(g, rotationMatrixFromRotationVector(this.angular));
+    g = setTransformTranslation(g, mathjsMultiply(V, this.linear));
+    return g;
+  }
 
-    // TODO: is it expensive to compute these each time?
-    const theta = this.norm();
-    const unitTwist = this.unit();
+  /**
+   * Same as getTransform, on a flat array, see se3.js.
+   * @param {Float64Array} out - length 16, allocated if undefined
+   * @return {Float64Array} row-major 4x4 transform
+   */
+  getTransformArray(out = undefined) {
+    return transformArrayFromTwist(this.coordinates, out);
+  }
 
-    // set rotation
-    const R = rotationMatrixFromAxisAngle(unitTwist.angular, theta);
-    g = setTransformRotation(g, R);
+  /**
+   * Left Jacobian of the exponential, exp(this + delta) ~ exp(J delta) exp(this)
+   * for a small twist delta, also known as dexp.
+   * From Barfoot, State Estimation for Robotics, Section 7.1, which uses the
+   * same linear then angular ordering: J = [[V, Q], [0, V]], where V is the
+   * SO(3) left Jacobian, as in getTransform, and Q couples in the linear part
+   * with the coefficients of jacobianSeriesCoefficients.
+   * @return {mathjs.Matrix} 6x6 matrix
+   */
+  getLeftJacobian() {
+    const angle = norm(this.angular);
+    const { b, c } = rotationSeriesCoefficients(angle);
+    const { f, g } = jacobianSeriesCoefficients(angle);
+    const angularHat = vectorHat(this.angular);
+    const linearHat = vectorHat(this.linear);
+    const angularHatSquared = mathjsMultiply(angularHat, angularHat);
 
-    if (this.isPureRotation) {
-      // returning early, but it would also be ok to continue with below steps
-      return g;
-    }
+    const V = add(
+      identity(3),
+      mathjsMultiply(angularHat, b),
+      mathjsMultiply(angularHatSquared, c),
+    );
 
-    // translation
-    const offsetTranslation = mathjsMultiply(subtract(identity(3), R), cross(unitTwist.angular, unitTwist.linear));
-    const pitchTranslation = mathjsMultiply(
+    const wv = mathjsMultiply(angularHat, linearHat);
+    const vw = mathjsMultiply(linearHat, angularHat);
+    const wvw = mathjsMultiply(wv, angularHat);
+    const Q = add(
+      mathjsMultiply(linearHat, 0.5),
+      mathjsMultiply(add(wv, vw, wvw), c),
+      mathjsMultiply(
+        add(mathjsMultiply(angularHatSquared, linearHat), mathjsMultiply(vw, angularHat), mathjsMultiply(wvw, -3)),
+        f,
+      ),
       mathjsMultiply(
-        // This is equal to w w^t, see MLS Lemma 2.3, page 28.
-        add(pow(vectorHat(unitTwist.angular), 2), identity(3)),
-        unitTwist.linear,
+        add(mathjsMultiply(wvw, angularHat), mathjsMultiply(angularHat, wvw)),
+        g,
       ),
-      theta,
     );
-    const translation = add(offsetTranslation, pitchTranslation);
-    g = setTransformTranslation(g, translation);
 
-    return g;
+    return blockUpperTriangular(V, Q);
+  }
+
+  /**
+   * Inverse of getLeftJacobian, also known as dexp^-1.
+   * [[V^-1, -V^-1 Q V^-1], [0, V^-1]] with V^-1 = I - 1/2 w^ + d w^2 as in
+   * fromTransform. Singular at angles that are non-zero multiples of 2 pi.
+   * @return {mathjs.Matrix} 6x6 matrix
+   */
+  getLeftJacobianInverse() {
+    const { d } = rotationSeriesCoefficients(norm(this.angular));
+    const angularHat = vectorHat(this.angular);
+    const VInverse = add(
+      identity(3),
+      mathjsMultiply(angularHat, -0.5),
+      mathjsMultiply(mathjsMultiply(angularHat, angularHat), d),
+    );
+
+    const Q = subset(this.getLeftJacobian(), index([0, 1, 2], [3, 4, 5]));
+    return blockUpperTriangular(
+      VInverse,
+      mathjsMultiply(mathjsMultiply(VInverse, Q, VInverse), -1),
+    );
+  }
+
+  /**
+   * Right Jacobian of the exponential, exp(this + delta) ~ exp(this) exp(J delta)
+   * for a small twist delta. This is the left Jacobian of the negated twist.
+   * @return {mathjs.Matrix} 6x6 matrix
+   */
+  getRightJacobian() {
+    return this.multiply(-1).getLeftJacobian();
+  }
+
+  /**
+   * Inverse of getRightJacobian.
+   * @return {mathjs.Matrix} 6x6 matrix
+   */
+  getRightJacobianInverse() {
+    return this.multiply(-1).getLeftJacobianInverse();
+  }
+
+  /**
+   * The 6x6 adjoint of a transform, acting on twist coordinates.
+   * From MLS Eq (2.58).
+   * @param {mathjs.Matrix} transform
+   * @return {mathjs.Matrix} 6x6 matrix
+   */
+  static adjointMatrix(transform) {
+    const R = rotationMatrixFromTransform(transform);
+    const pHatR = mathjsMultiply(vectorHat(translationFromTransform(transform)), R);
+
+    let result = zeros(6, 6);
+    result = subset(result, index([0, 1, 2], [0, 1, 2]), R);
+    result = subset(result, index([0, 1, 2], [3, 4, 5]), pHatR);
+    result = subset(result, index([3, 4, 5], [3, 4, 5]), R);
+    return result;
+  }
+
+  /**
+   * Returns a new twist, mapped through the adjoint of the transform.
+   * If this twist is expressed in frame B, and the transform is the pose of B
+   * relative to A, the returned twist is expressed in frame A.
+   * @param {mathjs.Matrix} transform
+   * @return {Twist}
+   */
+  adjoint(transform) {
+    return Twist.fromCoordinates(
+      mathjsMultiply(Twist.adjointMatrix(transform), this.coordinates),
+    );
+  }
+
+  /**
+   * Returns a new twist, mapped through the inverse adjoint of the transform.
+   * This undoes adjoint(), since the inverse adjoint is the adjoint of the
+   * inverse transform.
+   * @param {mathjs.Matrix} transform
+   * @return {Twist}
+   */
+  inverseAdjoint(transform) {
+    return this.adjoint(inverseTransform(transform));
   }
 
   /**
    * From MLS Proposition 2.9, page 43.
+   * Inverse of getTransform, v = V^-1 p with the closed form
+   * V^-1 = I - 1/2 w^ + d w^2. The angle is in [0, pi].
    * @param {mathjs.Matrix} transform
    * @return {Twist}
    */
   static fromTransform(transform) {
     const translation = translationFromTransform(transform);
 
-    if (transformHasIdentityRotation(transform)) {
-      return new Twist(translation, [0, 0, 0]);
-    }
+    // Return is an Array, and angle is its norm.
+    const axisWithAngle = axisAngleFromRotationMatrix(rotationMatrixFromTransform(transform));
+    const { d } = rotationSeriesCoefficients(norm(axisWithAngle));
+    const angularHat = vectorHat(axisWithAngle);
+    const VInverse = add(
+      identity(3),
+      mathjsMultiply(angularHat, -0.5),
+      mathjsMultiply(mathjsMultiply(angularHat, angularHat), d),
+    );
 
-    const R = rotationMatrixFromTransform(transform);
+    return new Twist(mathjsMultiply(VInverse, translation), axisWithAngle);
+  }
 
-    // Return is an Array, and angle is its norm.
-    const axisWithAngle = axisAngleFromRotationMatrix(R);
+  /**
+   * Same as fromTransform, on a flat array, see se3.js.
+   * @param {Float64Array} transform - row-major 4x4 transform
+   * @return {Twist}
+   */
+  static fromTransformArray(transform) {
+    const coordinates = twistFromTransformArray(transform);
+    return new Twist(
+      [coordinates[0], coordinates[1], coordinates[2]],
+      [coordinates[3], coordinates[4], coordinates[5]],
+    );
+  }
 
-    const theta = norm(axisWithAngle);
-    const w = normalizeVector(axisWithAngle);
+  /**
+   * Baker-Campbell-Hausdorff approximation of the twist Z with
+   * exp(Z) = exp(twist1) exp(twist2), truncated after terms of the given order
+   * in the brackets.
+   * @param {Twist} twist1
+   * @param {Twist} twist2
+   * @param {number} order - between [1, BCH_MAX_ORDER]
+   * @return {Twist}
+   */
+  static bch(twist1, twist2, order) {
+    if (!Number.isInteger(order) || order < 1 || order > BCH_MAX_ORDER) {
+      throw new Error(`BCH order: ${order} must be an integer between 1 and ${BCH_MAX_ORDER}.`);
+    }
 
-    // Pure rotation, return early.
-    if (equal(norm(translation), 0)) {
-      return new Twist([0, 0, 0], axisWithAngle);
+    let result = twist1.add(twist2);
+    if (order === 1) {
+      return result;
     }
 
-    const wHat = vectorHat(w);
-    const A = add(
-      mathjsMultiply(subtract(identity(3), R), wHat),
-      mathjsMultiply(
-        // This is equal to w w^t, see MLS Lemma 2.3, page 28.
-        add(pow(wHat, 2), identity(3)),
-        theta,
-      ),
-    );
-    const v = mathjsMultiply(inv(A), translation);
+    // [X, Y]
+    const bracket12 = twist1.bracket(twist2);
+    result = result.add(bracket12.multiply(1 / 2));
+    if (order === 2) {
+      return result;
+    }
 
-    // The magnitude (theta) is included in the angular component.
-    return new Twist(v.map((e) => e * theta), axisWithAngle);
+    // [X, [X, Y]] - [Y, [X, Y]]
+    const bracket112 = twist1.bracket(bracket12);
+    result = result
+      .add(bracket112.multiply(1 / 12))
+      .add(twist2.bracket(bracket12).multiply(-1 / 12));
+    if (order === 3) {
+      return result;
+    }
+
+    // [Y, [X, [X, Y]]]
+    return result.add(twist2.bracket(bracket112).multiply(-1 / 24));
+  }
+
+  /**
+   * Error of the BCH approximation, compared with the twist of the exact
+   * composed transform. The comparison is only meaningful when the exact
+   * composition is within the principal range of fromTransform.
+   * @param {Twist} twist1
+   * @param {Twist} twist2
+   * @param {number} order - between [1, BCH_MAX_ORDER]
+   * @return {number} norm of the difference in twist coordinates
+   */
+  static bchError(twist1, twist2, order) {
+    const exact = Twist.fromTransform(
+      mathjsMultiply(twist1.getTransform(), twist2.getTransform()),
+    );
+    const approximate = Twist.bch(twist1, twist2, order);
+    return norm(subtract(exact.coordinates, approximate.coordinates));
   }
 }
@@ -1,7 +1,7 @@
 import {
-  equal, norm, matrix, identity, sin, cos, multiply, add,
-  subset, index, deepEqual, acos, asin, trace, cross,
-  max, min,
+  norm, matrix, identity, sin, cos, multiply, add,
+  subset, index, asin, trace, cross, dot,
+  max, min, transpose,
 } from 'mathjs';
 import {
   Matrix4, Vector3, Quaternion,
@@ -11,6 +11,8 @@ import {
   LineSegments, Mesh,
 } from 'three';
 
+import { isZero, isClose, matricesClose } from './tolerance';
+
 export function equalTolerance(value, target, tolerance) {
   return Math.abs(value - target) < tolerance;
 }
@@ -25,7 +27,7 @@ export function rad2deg(angle) {
 
 export function normalizeVector(vector) {
   const vectorNorm = norm(vector);
-  if (equal(vectorNorm, 0)) {
+  if (isZero(vectorNorm)) {
     return vector;
   }
   return vector.map((element) => element / vectorNorm);
@@ -56,6 +58,101 @@ export function equalMatrixTolerance(matrix1, matrix2, tolerance) {
   return result;
 }
 
+// Below this angle, the coefficients of the exp and log maps are evaluated
+// with their Taylor series, since the closed forms lose precision.
+const SERIES_ANGLE_THRESHOLD = 0.1;
+// Same for the SE(3) Jacobian coefficients, see jacobianSeriesCoefficients.
+const JACOBIAN_SERIES_ANGLE_THRESHOLD = 0.5;
+
+// Above this cosine of the angle, i.e. close to pi, the rotation axis is
+// taken from the symmetric part of R, since the skew part vanishes.
+export const NEAR_PI_COSINE = -0.99;
+
+/**
+* Coefficients of the SO(3) and SE(3) exp and log maps, see MLS Section 2.2
+* and 2.4. Near zero the closed forms are replaced by Taylor series.
+* @param {number} angle - in rad, non-negative
+* @return {Object} with fields
+*     a: sin(angle) / angle,
+*     b: (1 - cos(angle)) / angle^2,
+*     c: (angle - sin(angle)) / angle^3,
+*     d: (1 - angle sin(angle) / (2 (1 - cos(angle)))) / angle^2,
+*     e: angle / (2 sin(angle)), which blows up close to pi
+*/
+export function rotationSeriesCoefficients(angle) {
+  const angleSquared = angle * angle;
+  if (angle < SERIES_ANGLE_THRESHOLD) {
+    return {
+      a: 1 - angleSquared / 6 + (angleSquared ** 2) / 120 - (angleSquared ** 3) / 5040,
+      b: 0.5 - angleSquared / 24 + (angleSquared ** 2) / 720 - (angleSquared ** 3) / 40320,
+      c: 1 / 6 - angleSquared / 120 + (angleSquared ** 2) / 5040 - (angleSquared ** 3) / 362880,
+      d: 1 / 12 + angleSquared / 720 + (angleSquared ** 2) / 30240 + (angleSquared ** 3) / 1209600,
+      e: 0.5 + angleSquared / 12 + (7 * angleSquared ** 2) / 720
+        + (31 * angleSquared ** 3) / 30240 + (127 * angleSquared ** 4) / 1209600,
+    };
+  }
+
+  // Half angle forms, 1 - cos(angle) = 2 sin(angle / 2)^2 avoids cancellation.
+  const sinAngle = sin(angle);
+  const sinHalf = sin(angle / 2);
+  return {
+    a: sinAngle / angle,
+    b: (2 * sinHalf * sinHalf) / angleSquared,
+    c: (angle - sinAngle) / (angleSquared * angle),
+    d: (1 - angle / (2 * Math.tan(angle / 2))) / angleSquared,
+    e: angle / (2 * sinAngle),
+  };
+}
+
+/**
+* Coefficients of the coupling block Q of the SE(3) left Jacobian, see
+* Barfoot, State Estimation for Robotics, Section 7.1. The first coefficient of
+* Q is c of rotationSeriesCoefficients. Near zero the closed forms are
+* replaced by Taylor series, up to a larger angle than
+* rotationSeriesCoefficients, since g cancels to fifth order.
+* @param {number} angle - in rad, non-negative
+* @return {Object} with fields
+*     f: (angle^2 / 2 + cos(angle) - 1) / angle^4,
+*     g: (2 angle - 3 sin(angle) + angle cos(angle)) / (2 angle^5)
+*/
+export function jacobianSeriesCoefficients(angle) {
+  const angleSquared = angle * angle;
+  if (angle < JACOBIAN_SERIES_ANGLE_THRESHOLD) {
+    // the terms are (-1)^n angle^2n / (2n + 4)! and (-1)^n (n + 1) angle^2n / (2n + 5)!
+    return {
+      f: 1 / 24 - angleSquared / 720 + (angleSquared ** 2) / 40320
+        - (angleSquared ** 3) / 3628800 + (angleSquared ** 4) / 479001600
+        - (angleSquared ** 5) / 87178291200,
+      g: 1 / 120 - angleSquared / 2520 + (angleSquared ** 2) / 120960
+        - (angleSquared ** 3) / 9979200 + (angleSquared ** 4) / 1245404160
+        - (angleSquared ** 5) / 217945728000,
+    };
+  }
+
+  const sinHalf = sin(angle / 2);
+  const angleFourth = angleSquared * angleSquared;
+  return {
+    f: (0.5 * angleSquared - 2 * sinHalf * sinHalf) / angleFourth,
+    g: (2 * angle - 3 * sin(angle) + angle * cos(angle)) / (2 * angleFourth * angle),
+  };
+}
+
+/**
+* Exponential of the skew matrix of the vector, Rodrigues formula from
+* MLS Eq (2.14) with the angle folded into the coefficients.
+* @param {Array} vector - length 3, the norm is the angle
+* @return {mathjs.Matrix} 3x3 rotation matrix
+*/
+export function rotationMatrixFromRotationVector(vector) {
+  const { a, b } = rotationSeriesCoefficients(norm(vector));
+  const vectorHatMatrix = matrix(vectorHat(vector));
+  return add(
+    identity(3),
+    multiply(vectorHatMatrix, a),
+    multiply(multiply(vectorHatMatrix, vectorHatMatrix), b),
+  );
+}
+
 /**
 * From MLS Eq (2.14), page 28.
 * @param {Array} axis - will be normalized
@@ -63,46 +160,55 @@ export function equalMatrixTolerance(matrix1, matrix2, tolerance) {
 * @param {mathjs.Matrix} 3x3 rotation matrix
 */
 export function rotationMatrixFromAxisAngle(axis, angle) {
-  if (equal(norm(axis), 0)) {
+  if (isZero(norm(axis))) {
     throw new Error(`rotation axis: ${axis} has zero norm: ${norm}`);
   }
 
-  if (equal(angle, 0)) {
-    // just return identity
-    return identity(3);
-  }
-
-  // Rodrigues formula
-  const axisHat = vectorHat(normalizeVector(axis));
-  return add(
-    identity(3),
-    multiply(matrix(axisHat), sin(angle)),
-    multiply(multiply(axisHat, axisHat), 1 - cos(angle)),
+  return rotationMatrixFromRotationVector(
+    multiply(normalizeVector(axis), angle),
   );
 }
 
 /**
 * From MLS Proposition 2.5, pg 29.
+* The angle is in [0, pi]. Close to pi, the axis is taken from the symmetric
+* part R + R^T - 2 cos(angle) I = 2 (1 - cos(angle)) w w^T, with the sign
+* from the skew part. At exactly pi both signs are valid.
 * @param {mathjs.Matrix or Array} R
 * @return {Array} length 3 vector, the norm is the angle
 */
 export function axisAngleFromRotationMatrix(R) {
-  const RMatrix = matrix(R);
-  if (deepEqual(RMatrix, identity(3))) {
-    return [0, 0, 0];
-  }
-
-  const angle = acos((trace(RMatrix) - 1) * 0.5);
+  const RArray = matrix(R).toArray();
 
+  // The skew part has norm 2 sin(angle).
   const vector = [
-    subset(RMatrix, index(2, 1)) - subset(RMatrix, index(1, 2)),
-    subset(RMatrix, index(0, 2)) - subset(RMatrix, index(2, 0)),
-    subset(RMatrix, index(1, 0)) - subset(RMatrix, index(0, 1)),
+    RArray[2][1] - RArray[1][2],
+    RArray[0][2] - RArray[2][0],
+    RArray[1][0] - RArray[0][1],
   ];
+  const cosAngle = max(-1, min(1, (trace(RArray) - 1) * 0.5));
+  const angle = Math.atan2(0.5 * norm(vector), cosAngle);
+
+  if (cosAngle > NEAR_PI_COSINE) {
+    const { e } = rotationSeriesCoefficients(angle);
+    return vector.map((element) => element * e);
+  }
 
-  // Since norm of return can only be positive, take sign angle into account.
-  return vector.map((element) => element * (
-    (Math.sign(angle) * angle) / (2 * sin(angle))));
+  // Symmetric part, use the column with the largest diagonal element.
+  const symmetric = [0, 1, 2].map(
+    (i) => [0, 1, 2].map((j) => 0.5 * (RArray[i][j] + RArray[j][i]) - (i === j ? cosAngle : 0)),
+  );
+  let column = 0;
+  [1, 2].forEach((i) => {
+    if (symmetric[i][i] > symmetric[column][column]) {
+      column = i;
+    }
+  });
+  let axis = normalizeVector(symmetric.map((row) => row[column]));
+  if (dot(axis, vector) < 0) {
+    axis = axis.map((element) => -element);
+  }
+  return axis.map((element) => element * angle);
 }
 
 /**
@@ -145,7 +251,7 @@ export function axisAngleFromTransform(transform) {
  * @return {bool}
  */
 export function transformHasIdentityRotation(transform) {
-  return deepEqual(identity(3), rotationMatrixFromTransform(transform));
+  return matricesClose(identity(3), rotationMatrixFromTransform(transform));
 }
 
 /**
@@ -160,6 +266,20 @@ export function translationFromTransform(transform) {
   ];
 }
 
+/**
+* Inverse of a rigid body transform, using the transpose of the rotation.
+* @param {mathjs.Matrix} transform
+* @return {mathjs.Matrix} inverse transform
+*/
+export function inverseTransform(transform) {
+  const RTranspose = transpose(rotationMatrixFromTransform(transform));
+  const translation = multiply(RTranspose, translationFromTransform(transform));
+  return transformFromRotationTranslation(
+    RTranspose,
+    translation.map((element) => -element).toArray(),
+  );
+}
+
 /**
 * @param {mathjs.Matrix} transform
 * @param {Array} t - translation
@@ -187,7 +307,7 @@ export function getAxisAngleToRotateVector(vector1, vector2) {
   const vec1 = normalizeVector(vector1);
   const vec2 = normalizeVector(vector2);
   const crossProduct = cross(vec1, vec2);
-  if (equal(norm(crossProduct), 0)) {
+  if (isZero(norm(crossProduct), 'angle')) {
     return [0, 0, 0];
   }
   const direction = normalizeVector(crossProduct);
@@ -272,7 +392,7 @@ export function rotationMatrixFromThreeQuaternion(quaternion) {
 export function threeQuaternionFromRotationMatrix(R) {
   const axisAngle = axisAngleFromRotationMatrix(R);
   const angle = norm(axisAngle);
-  if (equal(angle, 0)) {
+  if (isZero(angle, 'angle')) {
     return new Quaternion(0, 0, 0, 1);
   }
 
@@ -295,6 +415,153 @@ export function threeQuaternionFromTransform(transform) {
   );
 }
 
+// The 6 Tait-Bryan and 6 proper Euler axis sequences.
+export const EULER_SEQUENCES = [
+  'XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX',
+  'XYX', 'XZX', 'YXY', 'YZY', 'ZXZ', 'ZYZ',
+];
+
+const EULER_AXIS_INDICES = { X: 0, Y: 1, Z: 2 };
+
+/**
+* @param {string} sequence
+*/
+function checkEulerSequence(sequence) {
+  if (!EULER_SEQUENCES.includes(sequence)) {
+    throw new Error(`Unknown Euler sequence: ${sequence}, expected one of ${EULER_SEQUENCES}.`);
+  }
+}
+
+/**
+* @param {Array} angles - length 3, in rad, in the order of the sequence
+* @param {string} sequence - one of EULER_SEQUENCES
+* @param {bool} extrinsic - if true, rotations are about the fixed axes,
+*     else about the rotated axes, defaults to false
+* @return {mathjs.Matrix} 3x3 rotation matrix
+*/
+export function rotationMatrixFromEulerAngles(angles, sequence, extrinsic = false) {
+  checkEulerSequence(sequence);
+
+  const rotations = sequence.split('').map((axis, i) => {
+    const vector = [0, 0, 0];
+    vector[EULER_AXIS_INDICES[axis]] = 1;
+    return rotationMatrixFromAxisAngle(vector, angles[i]);
+  });
+
+  if (extrinsic) {
+    return multiply(rotations[2], rotations[1], rotations[0]);
+  }
+  return multiply(rotations[0], rotations[1], rotations[2]);
+}
+
+/**
+* Wrap to [-pi, pi].
+* @param {number} angle
+* @return {number}
+*/
+function wrapToPi(angle) {
+  if (angle < -Math.PI) {
+    return angle + 2 * Math.PI;
+  }
+  if (angle > Math.PI) {
+    return angle - 2 * Math.PI;
+  }
+  return angle;
+}
+
+/**
+* Extrinsic Euler angles from a unit quaternion, for any axis sequence.
+* From Bernardes and Viollet, "Quaternion to Euler angles conversion: A direct,
+* general and computationally efficient method", PLoS ONE 2022.
+* @param {three.Quaternion} quaternion
+* @param {string} sequence - one of EULER_SEQUENCES
+* @return {Object} with fields angles, gimbalLock
+*/
+function extrinsicEulerAnglesFromThreeQuaternion(quaternion, sequence) {
+  const q = [quaternion.x, quaternion.y, quaternion.z];
+  const i = EULER_AXIS_INDICES[sequence[0]];
+  const j = EULER_AXIS_INDICES[sequence[1]];
+  let k = EULER_AXIS_INDICES[sequence[2]];
+
+  const isProper = (i === k);
+  if (isProper) {
+    // the remaining axis
+    k = 3 - i - j;
+  }
+  // Levi-Civita symbol of (i, j, k)
+  const sign = ((i - j) * (j - k) * (k - i)) / 2;
+
+  let a;
+  let b;
+  let c;
+  let d;
+  if (isProper) {
+    a = quaternion.w;
+    b = q[i];
+    c = q[j];
+    d = q[k] * sign;
+  } else {
+    a = quaternion.w - q[j];
+    b = q[i] + q[k] * sign;
+    c = q[j] + quaternion.w;
+    d = q[k] * sign - q[i];
+  }
+
+  const angles = [0, 2 * Math.atan2(Math.hypot(c, d), Math.hypot(a, b)), 0];
+  const halfSum = Math.atan2(b, a);
+  const halfDifference = Math.atan2(d, c);
+
+  const atZero = isZero(angles[1], 'gimbalLock');
+  const atPi = isClose(angles[1], Math.PI, 'gimbalLock');
+  if (atZero) {
+    // only the sum of the first and third angles is defined, set third to 0
+    angles[0] = 2 * halfSum;
+  } else if (atPi) {
+    // only the difference is defined
+    angles[0] = -2 * halfDifference;
+  } else {
+    angles[0] = halfSum - halfDifference;
+    angles[2] = halfSum + halfDifference;
+  }
+
+  if (!isProper) {
+    angles[2] *= sign;
+    angles[1] -= Math.PI / 2;
+  }
+
+  return { angles: angles.map(wrapToPi), gimbalLock: atZero || atPi };
+}
+
+/**
+* Inverse of rotationMatrixFromEulerAngles.
+* In gimbal lock, only the sum or difference of the outer angles is defined.
+* The angle of the rotation applied last is set to 0, which is the third angle
+* for extrinsic sequences, and the first angle for intrinsic sequences.
+* @param {mathjs.Matrix} R - 3x3 rotation matrix
+* @param {string} sequence - one of EULER_SEQUENCES
+* @param {bool} extrinsic - see rotationMatrixFromEulerAngles, defaults to false
+* @return {Object} with fields
+*     angles: {Array} length 3, in rad, in the order of the sequence,
+*     gimbalLock: {bool} true if the middle angle is at a singular value
+*/
+export function eulerAnglesFromRotationMatrix(R, sequence, extrinsic = false) {
+  checkEulerSequence(sequence);
+
+  const quaternion = new Quaternion().setFromRotationMatrix(
+    mathToThreeTransform(transformFromRotationTranslation(R, [0, 0, 0])),
+  );
+
+  if (extrinsic) {
+    return extrinsicEulerAnglesFromThreeQuaternion(quaternion, sequence);
+  }
+
+  // Intrinsic rotations about a sequence are the extrinsic rotations about
+  // the reversed sequence, in reverse order.
+  const reversed = sequence.split('').reverse().join('');
+  const { angles, gimbalLock } = extrinsicEulerAnglesFromThreeQuaternion(quaternion, reversed);
+  return { angles: angles.reverse(), gimbalLock };
+}
+
 /*
 * @param {three.Vector3} position
 * @param {three.Quaternion} quaternion
@@ -450,6 +717,37 @@ export function myAxesHelper(size, oneSided = true, lineRadius = 0.01) {
   return parent;
 }
 
+/*
+* Creates a tube between two points, or a sphere if they are the same point.
+*
+* @param {Array} start - array of 3 coordinates
+* @param {Array} end - array of 3 coordinates
+* @param {number} color - defaults to black
+* @param {number} lineRadius - tube radius, defaults to 0.02
+* @returns {Mesh} in the frame of the points
+*/
+export function getSegmentThreeViz(start, end, color = 0x000000, lineRadius = 0.02) {
+  const material = new MeshBasicMaterial({ color });
+  const point1 = new Vector3(start[0], start[1], start[2]);
+  const point2 = new Vector3(end[0], end[1], end[2]);
+
+  // a tube along a zero length curve is degenerate
+  if (isZero(point1.distanceTo(point2))) {
+    const sphere = new Mesh(new SphereGeometry(2 * lineRadius), material);
+    sphere.position.copy(point1);
+    return sphere;
+  }
+
+  const geometry = new TubeGeometry(
+    new LineCurve3(point1, point2), // curve
+    2, // tubularSegments
+    lineRadius, // tube radius
+    8, // radialSegments,
+    false, // tubeClosed
+  );
+  return new Mesh(geometry, material);
+}
+
 /*
 * Speed to move refAxes at.
 * @param {Screw} screw
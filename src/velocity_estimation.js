@@ -0,0 +1,155 @@
+import {
+  transformArrayFromMatrix, invertTransformArray, multiplyTransformArrays,
+  twistFromTransformArray,
+} from './se3';
+import Twist from './twist';
+import Screw from './screw';
+
+// Stencils of the finite difference schemes, as sample offsets from the
+// sample the velocity is estimated at. Near the ends of a sequence a stencil
+// is shifted to stay within the samples, so it becomes one-sided with the
+// same number of samples.
+// For uniform sampling, forward and backward are first order, central is
+// second order and fivePoint is fourth order.
+export const VELOCITY_SCHEMES = new Map([
+  ['forward', [0, 1]],
+  ['backward', [-1, 0]],
+  ['central', [-1, 0, 1]],
+  ['fivePoint', [-2, -1, 0, 1, 2]],
+]);
+
+/**
+* Finite difference weights on arbitrarily spaced nodes, from Fornberg,
+* Generation of Finite Difference Formulas on Arbitrarily Spaced Grids,
+* Mathematics of Computation, 1988.
+* @param {number} x0 - where the derivative is approximated
+* @param {Array} nodes - distinct, at least derivativeOrder + 1 of them
+* @param {number} derivativeOrder - non-negative integer, defaults to 1
+* @return {Array} weights w, the derivative is sum w[j] f(nodes[j])
+*/
+export function fornbergWeights(x0, nodes, derivativeOrder = 1) {
+  const n = nodes.length;
+  if (!Number.isInteger(derivativeOrder) || derivativeOrder < 0) {
+    throw new Error(`Derivative order: ${derivativeOrder} must be a non-negative integer.`);
+  }
+  if (n < derivativeOrder + 1) {
+    throw new Error(`Need at least ${derivativeOrder + 1} nodes, received: ${n}.`);
+  }
+
+  // weights[j][k] is the weight of node j for the derivative of order k
+  const weights = nodes.map(() => new Array(derivativeOrder + 1).fill(0));
+  weights[0][0] = 1;
+  let c1 = 1;
+  let c4 = nodes[0] - x0;
+  for (let i = 1; i < n; i += 1) {
+    const maxOrder = Math.min(i, derivativeOrder);
+    let c2 = 1;
+    const c5 = c4;
+    c4 = nodes[i] - x0;
+    for (let j = 0; j < i; j += 1) {
+      const c3 = nodes[i] - nodes[j];
+      if (c3 === 0) {
+        throw new Error(`Nodes must be distinct, node: ${nodes[i]} is repeated.`);
+      }
+      c2 *= c3;
+      if (j === i - 1) {
+        for (let k = maxOrder; k > 0; k -= 1) {
+          weights[i][k] = (c1 * (k * weights[i - 1][k - 1] - c5 * weights[i - 1][k])) / c2;
+        }
+        weights[i][0] = (-c1 * c5 * weights[i - 1][0]) / c2;
+      }
+      for (let k = maxOrder; k > 0; k -= 1) {
+        weights[j][k] = (c4 * weights[j][k] - k * weights[j][k - 1]) / c3;
+      }
+      weights[j][0] = (c4 * weights[j][0]) / c3;
+    }
+    c1 = c2;
+  }
+
+  return weights.map((row) => row[derivativeOrder]);
+}
+
+/**
+* @param {mathjs.Matrix or Array or Float64Array} transform - 4x4, or
+*     row-major length 16
+* @return {Float64Array}
+*/
+function toTransformArray(transform) {
+  if (transform instanceof Float64Array) {
+    return transform;
+  }
+  return transformArrayFromMatrix(transform);
+}
+
+/**
+* Velocities along a sampled motion by finite differences on the group.
+* At sample i, the curves log(g_i^-1 g(t)) and log(g(t) g_i^-1) are zero at
+* t_i, and their derivatives there are the body and spatial velocity twists,
+* so the finite difference schemes apply to them directly. The logs are
+* Twist.fromTransform of the relative poses, computed on flat arrays, see
+* se3.js, since logged pose sequences can be long.
+* @param {Array} times - strictly increasing
+* @param {Array} transforms - poses at times, each a mathjs.Matrix, nested
+*     Array, or a row-major Float64Array as in se3.js
+* @param {string} scheme - key of VELOCITY_SCHEMES, defaults to 'central'
+* @return {Array} for each sample, an Object with fields
+*     time: {number},
+*     spatial: {Twist} velocity in the fixed frame,
+*     body: {Twist} velocity in the frame of the pose,
+*     screw: {Screw} instantaneous screw, Screw.fromTwist(spatial), so its
+*         axis is in the fixed frame and its magnitude is the speed
+*/
+export function estimateVelocities(times, transforms, scheme = 'central') {
+  if (!VELOCITY_SCHEMES.has(scheme)) {
+    throw new Error(`Unknown velocity scheme: ${scheme}, must be one of: ${Array.from(VELOCITY_SCHEMES.keys())}`);
+  }
+  if (!(times.length === transforms.length)) {
+    throw new Error(`Numbers of times: ${times.length} and transforms: ${transforms.length} do not match.`);
+  }
+  const offsets = VELOCITY_SCHEMES.get(scheme);
+  const stencilSize = offsets.length;
+  if (times.length < stencilSize) {
+    throw new Error(`Scheme: ${scheme} needs at least ${stencilSize} samples, received: ${times.length}.`);
+  }
+  times.forEach((time, i) => {
+    if (i > 0 && !(time > times[i - 1])) {
+      throw new Error(`Times must be strictly increasing, time: ${time} at index ${i} is not.`);
+    }
+  });
+
+  const poses = transforms.map(toTransformArray);
+  const inverses = poses.map((pose) => invertTransformArray(pose));
+  // reused for every relative pose and its log
+  const relative = new Float64Array(16);
+  const coordinates = new Float64Array(6);
+
+  return poses.map((pose, i) => {
+    // shift the stencil to stay within the samples
+    const first = Math.min(Math.max(i + offsets[0], 0), poses.length - stencilSize);
+    const indices = offsets.map((offset, k) => first + k);
+    const weights = fornbergWeights(times[i], indices.map((j) => times[j]));
+
+    const body = [0, 0, 0, 0, 0, 0];
+    const spatial = [0, 0, 0, 0, 0, 0];
+    indices.forEach((j, k) => {
+      // the log of the relative pose is zero for j = i
+      if (j === i) {
+        return;
+      }
+      multiplyTransformArrays(inverses[i], poses[j], relative);
+      twistFromTransformArray(relative, coordinates);
+      coordinates.forEach((value, m) => { body[m] += weights[k] * value; });
+      multiplyTransformArrays(poses[j], inverses[i], relative);
+      twistFromTransformArray(relative, coordinates);
+      coordinates.forEach((value, m) => { spatial[m] += weights[k] * value; });
+    });
+
+    const spatialTwist = Twist.fromCoordinates(spatial);
+    return {
+      time: times[i],
+      spatial: spatialTwist,
+      body: Twist.fromCoordinates(body),
+      screw: Screw.fromTwist(spatialTwist),
+    };
+  });
+}
@@ -0,0 +1,141 @@
+import {
+  dot, multiply, Matrix, transpose,
+} from 'mathjs';
+
+import { inverseTransform } from './util';
+
+import Screw from './screw';
+import Twist from './twist';
+
+// tangerine color, to tell wrenches apart from twist screws
+const WRENCH_VIZ_COLOR = 0xE87722;
+
+export default class Wrench {
+  /**
+   * Force and moment components stored internally as Array objects.
+   * The ordering matches Twist, so that force pairs with linear velocity and
+   * moment with angular velocity.
+   * @param {mathjs.Matrix or Array} force
+   * @param {mathjs.Matrix or Array} moment
+   */
+  constructor(force, moment) {
+    if (force instanceof Array) {
+      this.force = force;
+    } else if (force instanceof Matrix) {
+      this.force = force.toArray();
+    } else {
+      throw new Error(`unknown type of force component: ${force.constructor}`);
+    }
+
+    if (moment instanceof Array) {
+      this.moment = moment;
+    } else if (moment instanceof Matrix) {
+      this.moment = moment.toArray();
+    } else {
+      throw new Error(`unknown type of moment component: ${moment.constructor}`);
+    }
+  }
+
+  get coordinates() {
+    return this.force.concat(this.moment);
+  }
+
+  /**
+   * Inverse of the coordinates getter.
+   * @param {mathjs.Matrix or Array} coordinates - length 6, force then moment
+   * @return {Wrench}
+   */
+  static fromCoordinates(coordinates) {
+    let array = coordinates;
+    if (coordinates instanceof Matrix) {
+      array = coordinates.toArray();
+    }
+    return new Wrench(array.slice(0, 3), array.slice(3, 6));
+  }
+
+  /**
+   * Returns a new wrench.
+   * @param {number} multiple
+   * @return {Wrench}
+   */
+  multiply(multiple) {
+    return new Wrench(
+      multiply(this.force, multiple),
+      multiply(this.moment, multiple),
+    );
+  }
+
+  /**
+   * The reciprocal product, i.e. the instantaneous power of this wrench
+   * acting on a rigid body moving with the given twist.
+   * A screw is taken to be its twist at full magnitude.
+   * @param {Twist or Screw} other
+   * @return {number}
+   */
+  reciprocalProduct(other) {
+    let twist = other;
+    if (other instanceof Screw) {
+      twist = other.getTwistAtMagnitude(other.magnitude);
+    }
+    return dot(this.force, twist.linear) + dot(this.moment, twist.angular);
+  }
+
+  /**
+   * Returns a new wrench, mapped through the transpose adjoint of the
+   * transform. If the transform is the pose of frame C relative to B, and this
+   * wrench is expressed in B, the returned wrench is expressed in C.
+   * This is the dual of Twist.adjoint, see MLS Eq (2.66).
+   * @param {mathjs.Matrix} transform
+   * @return {Wrench}
+   */
+  transposeAdjoint(transform) {
+    return Wrench.fromCoordinates(
+      multiply(transpose(Twist.adjointMatrix(transform)), this.coordinates),
+    );
+  }
+
+  /**
+   * Returns a new wrench, undoing transposeAdjoint.
+   * @param {mathjs.Matrix} transform
+   * @return {Wrench}
+   */
+  inverseTransposeAdjoint(transform) {
+    return this.transposeAdjoint(inverseTransform(transform));
+  }
+
+  /**
+   * A wrench has the same axis, pitch, magnitude construction as a twist,
+   * with force in place of angular velocity, and moment in place of linear
+   * velocity. See MLS Section 2.5.
+   * @return {Screw}
+   */
+  toScrew() {
+    return Screw.fromTwist(new Twist(this.moment, this.force));
+  }
+
+  /**
+   * Inverse of toScrew.
+   * @param {Screw} screw
+   * @return {Wrench}
+   */
+  static fromScrew(screw) {
+    const twist = screw.getTwistAtMagnitude(screw.magnitude);
+    return new Wrench(twist.angular, twist.linear);
+  }
+
+  /**
+   * Returns a straight line along z, use getVizThreeTransform to position it.
+   * @return {threejs.Mesh} object that can be added to scene
+   */
+  getAxisThreeViz() {
+    return this.toScrew().getAxisThreeViz(WRENCH_VIZ_COLOR);
+  }
+
+  /**
+   * Frame to place wrench viz at.
+   * @return {threejs.Matrix4} transform
+   */
+  getVizThreeTransform() {
+    return this.toScrew().getVizThreeTransform();
+  }
+}
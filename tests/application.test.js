@@ -1,14 +1,18 @@
 import {
-  deepEqual,
+  deepEqual, identity, multiply,
 } from 'mathjs';
 import {
   Scene,
 } from 'three';
-import Application from '../src/application';
+import Application, { getWaypointLegs } from '../src/application';
 import Screw from '../src/screw';
 import Axis from '../src/axis';
+import Twist from '../src/twist';
+import RigidBody from '../src/rigid_body';
+import SpatialInertia from '../src/spatial_inertia';
 import {
-  transformFromThreePose,
+  transformFromThreePose, equalMatrixTolerance, equalTolerance, setTransformTranslation,
+  getScrewSpeed,
 } from '../src/util';
 
 // common to all tests
@@ -21,6 +25,17 @@ const rotationScrew = new Screw(new Axis([0, 0, 0], [0, 0, 1]), 0, 1.0);
 // rotation + translation
 const coilScrew = new Screw(new Axis([0.5, 0.5, 0], [0, 0, 1]), 0.5, 1.0);
 
+/**
+* @param {Application} application - after the first animate() call of a
+*     single move
+* @return {number} time the move takes, as a constant speed move along the
+*     screw moved along
+*/
+function getMoveTime(application) {
+  const { moveScrew } = application;
+  return moveScrew.magnitude / getScrewSpeed(moveScrew);
+}
+
 test('init with scene', () => {
   const scene = new Scene();
   const application = new Application(defaultScrew, scene);
@@ -53,7 +68,7 @@ test('simple move', () => {
   expect(application.axisViz === undefined).toBe(false);
   expect(scene.children.includes(application.axisViz)).toBe(true);
 
-  const moveTime = application.screw.magnitude / application.screwSpeed;
+  const moveTime = getMoveTime(application);
 
   // animate call sometime in between
   application.animate(moveTime * 0.5);
@@ -80,12 +95,12 @@ test('move -> reset', () => {
   application.updateScrew(coilScrew);
   application.move();
   application.animate(0);
+  const moveTime = getMoveTime(application);
   // coilScrew has both axis and helix viz
   const { axisViz } = application;
   const { helixViz } = application;
   expect(scene.children.includes(axisViz)).toBe(true);
   expect(scene.children.includes(helixViz)).toBe(true);
-  const moveTime = application.screw.magnitude / application.screwSpeed;
   application.animate(moveTime * 1.1);
   expect(application.moveDone).toBe(true);
 
@@ -115,9 +130,9 @@ test('move ongoing -> reset', () => {
   application.updateScrew(translationScrew);
   application.move();
   application.animate(0);
+  const moveTime = getMoveTime(application);
   // there will be no helix viz with pure translation screw
   const { axisViz } = application;
-  const moveTime = application.screw.magnitude / application.screwSpeed;
   application.animate(moveTime * 0.5);
 
   // reset called during move
@@ -145,9 +160,9 @@ test('move ongoing -> move', () => {
   const scene = new Scene();
   const application = new Application(defaultScrew, scene);
   application.updateScrew(coilScrew);
-  const moveTime = application.screw.magnitude / application.screwSpeed;
   application.move();
   application.animate(0);
+  const moveTime = getMoveTime(application);
   const { axisViz } = application;
   const { helixViz } = application;
   // with coil screw, both viz should exist
@@ -189,9 +204,9 @@ test('move -> move with same screw', () => {
   const scene = new Scene();
   const application = new Application(defaultScrew, scene);
   application.updateScrew(coilScrew);
-  const moveTime = application.screw.magnitude / application.screwSpeed;
   application.move();
   application.animate(0);
+  const moveTime = getMoveTime(application);
   const { axisViz } = application;
   const { helixViz } = application;
   application.animate(moveTime * 1.1);
@@ -215,9 +230,9 @@ test('move -> reset -> move same screw', () => {
   const scene = new Scene();
   const application = new Application(defaultScrew, scene);
   application.updateScrew(coilScrew);
-  const moveTime = application.screw.magnitude / application.screwSpeed;
   application.move();
   application.animate(0);
+  const moveTime = getMoveTime(application);
   const { axisViz } = application;
   const helixViz = application.axisViz;
   application.animate(moveTime * 1.1);
@@ -251,9 +266,9 @@ test('move -> move different screw', () => {
   const scene = new Scene();
   const application = new Application(defaultScrew, scene);
   application.updateScrew(translationScrew);
-  const moveTime = application.screw.magnitude / application.screwSpeed;
   application.move();
   application.animate(0);
+  const moveTime = getMoveTime(application);
   // for translation, axisViz will exist, and helix is undefined
   const { axisViz } = application;
   const { helixViz } = application;
@@ -304,3 +319,416 @@ test('helixViz only if screw axis offset from origin', () => {
   expect(application.axisViz === undefined).toBe(false);
   expect(application.helixViz === undefined).toBe(false);
 });
+
+test('move with a time scaling profile', () => {
+  const application = new Application(defaultScrew);
+  application.updateScrew(coilScrew);
+  application.guiHelper.timeScalingProfile = 'quintic';
+
+  application.move();
+  application.animate(0);
+  const moveTime = getMoveTime(application);
+  expect(application.timeScaling.profile).toBe('quintic');
+  // same duration as the constant speed move
+  expect(application.timeScaling.duration).toBe(moveTime);
+
+  // refAxes follow the quintic, which is behind constant speed in the first half
+  application.animate(moveTime * 0.25);
+  expect(application.moveDone).toBe(false);
+  const pose = transformFromThreePose(
+    application.refAxes.position,
+    application.refAxes.quaternion,
+  );
+  expect(equalMatrixTolerance(
+    pose,
+    coilScrew.getTransformAtTime(application.timeScaling, moveTime * 0.25),
+    1e-9,
+  )).toBe(true);
+  expect(equalMatrixTolerance(
+    pose,
+    coilScrew.getTransformAtMagnitude(coilScrew.magnitude * 0.25),
+    1e-3,
+  )).toBe(false);
+
+  application.animate(moveTime * 1.01);
+  expect(application.moveDone).toBe(true);
+
+  application.reset();
+  expect(application.timeScaling === undefined).toBe(true);
+});
+
+test('move along the long way round', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  application.updateScrew(coilScrew);
+  application.guiHelper.screwWinding = 1;
+  application.guiHelper.screwLongWay = true;
+
+  application.move();
+  application.animate(0);
+  const { moveScrew } = application;
+  expect(moveScrew.valuesEqualTo(coilScrew.equivalentScrew(1, true))).toBe(true);
+  // viz of the screw being animated
+  expect(application.prevScrew).toBe(moveScrew);
+  expect(scene.children.includes(application.axisViz)).toBe(true);
+
+  const moveTime = application.timeScaling.duration;
+  application.animate(moveTime * 0.5);
+  expect(equalMatrixTolerance(
+    transformFromThreePose(application.refAxes.position, application.refAxes.quaternion),
+    moveScrew.getTransformAtMagnitude(moveScrew.magnitude * 0.5),
+    1e-9,
+  )).toBe(true);
+
+  // ends at the same pose as the input screw
+  application.animate(moveTime * 1.1);
+  expect(application.moveDone).toBe(true);
+  expect(equalMatrixTolerance(
+    transformFromThreePose(application.refAxes.position, application.refAxes.quaternion),
+    coilScrew.getTransform(),
+    1e-9,
+  )).toBe(true);
+
+  // the principal screw is a new screw to move along
+  application.guiHelper.screwWinding = 0;
+  application.guiHelper.screwLongWay = false;
+  application.move();
+  application.animate(10);
+  expect(application.moveScrew).toBe(coilScrew);
+  expect(scene.children.includes(application.axisViz)).toBe(true);
+});
+
+test('show composition', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  application.showComposition(coilScrew, rotationScrew);
+  const { screw } = application.composition;
+  expect(equalMatrixTolerance(
+    screw.getTransform(),
+    multiply(rotationScrew.getTransform(), coilScrew.getTransform()),
+    1e-12,
+  )).toBe(true);
+  // three axes and three common normals
+  expect(application.compositionVizs.length).toBe(6);
+  const vizs = application.compositionVizs;
+  // the sides are drawn between the feet of the returned common normals
+  application.composition.commonNormals.forEach(({ foot, otherFoot }, i) => {
+    const { path } = vizs[3 + i].geometry.parameters;
+    expect(path.v1.toArray()).toEqual(foot);
+    expect(path.v2.toArray()).toEqual(otherFoot);
+  });
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+
+  // kept during a move
+  application.updateScrew(coilScrew);
+  application.move();
+  application.animate(0);
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+
+  // replaced by the next composition
+  application.showComposition(rotationScrew, coilScrew);
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(false));
+
+  application.reset();
+  expect(application.composition === undefined).toBe(true);
+  expect(application.compositionVizs.length).toBe(0);
+});
+
+test('compose from gui transform inputs', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  const { guiHelper } = application;
+  // nothing to compose with yet
+  guiHelper.setAllRepresentationsFromScrew(rotationScrew);
+  guiHelper.compose();
+  expect(application.composition === undefined).toBe(true);
+
+  guiHelper.setAllRepresentationsFromScrew(coilScrew);
+  guiHelper.setCompositionFirst();
+  expect(guiHelper.compositionFirstSet).toBe(true);
+  guiHelper.setAllRepresentationsFromScrew(rotationScrew);
+  guiHelper.compose();
+  expect(equalMatrixTolerance(
+    application.composition.screw.getTransform(),
+    multiply(rotationScrew.getTransform(), coilScrew.getTransform()),
+    1e-9,
+  )).toBe(true);
+  expect(application.compositionVizs.length).toBe(6);
+  application.compositionVizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+
+  // the first screw is an input, kept on reset
+  application.reset();
+  expect(application.compositionVizs.length).toBe(0);
+  guiHelper.compose();
+  expect(application.compositionVizs.length).toBe(6);
+});
+
+test('show axodes', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  const times = [0, 0.25, 0.5, 0.75, 1];
+  const transforms = times.map((time) => coilScrew.getTransformAtMagnitude(time));
+  application.showAxodes(times, transforms);
+  expect(application.instantaneousAxes.length).toBe(5);
+  expect(application.instantaneousAxes[2].fixedAxis.equalTo(coilScrew.axis)).toBe(true);
+  const vizs = application.axodeVizs;
+  expect(vizs.length).toBe(2);
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+
+  // replaced by the next axodes
+  application.showAxodes(times, transforms, 'forward');
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(false));
+
+  application.reset();
+  expect(application.instantaneousAxes === undefined).toBe(true);
+  expect(application.axodeVizs.length).toBe(0);
+});
+
+test('show axodes of a rolling cylinder from the gui', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  const { guiHelper } = application;
+  guiHelper.axodes = true;
+  guiHelper.toggleAxodes();
+  // every instantaneous axis is the contact line, along z on the plane y = 0,
+  // at a distance of the radius from the center of the cylinder, up to the
+  // error of the finite differences between samples
+  application.instantaneousAxes.forEach(({ fixedAxis, movingAxis }) => {
+    expect(equalTolerance(Math.abs(fixedAxis.direction[2]), 1, 1e-9)).toBe(true);
+    expect(equalTolerance(fixedAxis.point[1], 0, 1e-2)).toBe(true);
+    expect(equalTolerance(Math.hypot(movingAxis.point[0], movingAxis.point[1]), 0.5, 1e-2))
+      .toBe(true);
+  });
+  const vizs = application.axodeVizs;
+  expect(vizs.length).toBe(2);
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+
+  guiHelper.axodes = false;
+  guiHelper.toggleAxodes();
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(false));
+
+  // unchecked on reset
+  application.showRollingAxodes();
+  expect(guiHelper.axodes).toBe(true);
+  application.reset();
+  expect(guiHelper.axodes).toBe(false);
+});
+
+test('simulate rigid body', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  const body = new RigidBody(
+    SpatialInertia.cuboid(1, [1, 2, 3]),
+    identity(4),
+    new Twist([0.5, 0, 0], [0, 0, 1]),
+  );
+  application.simulateRigidBody(body);
+  application.animate(1);
+  expect(body.time).toBe(0);
+  application.animate(1.05);
+  expect(equalTolerance(body.time, 0.05, 1e-12)).toBe(true);
+  const refAxesTransform = transformFromThreePose(
+    application.refAxes.position,
+    application.refAxes.quaternion,
+  );
+  expect(equalMatrixTolerance(refAxesTransform, body.transform, 1e-6)).toBe(true);
+
+  // a slow frame slows the simulation down
+  application.animate(5);
+  expect(equalTolerance(body.time, 0.15, 1e-12)).toBe(true);
+
+  // a move takes over
+  application.updateScrew(rotationScrew);
+  application.move();
+  application.animate(6);
+  expect(application.rigidBody === undefined).toBe(true);
+  expect(equalTolerance(body.time, 0.15, 1e-12)).toBe(true);
+
+  application.simulateRigidBody(body);
+  application.reset();
+  expect(application.rigidBody === undefined).toBe(true);
+});
+
+test('simulate rigid body presets from the gui', () => {
+  const application = new Application(defaultScrew);
+  const { guiHelper } = application;
+  guiHelper.rigidBodyPreset = 'intermediateAxis';
+  guiHelper.simulate();
+  const { rigidBody } = application;
+  expect(rigidBody.inertia.rotationalInertia).toEqual([[13, 0, 0], [0, 10, 0], [0, 0, 5]]);
+  application.animate(0);
+  application.animate(0.05);
+  expect(equalTolerance(rigidBody.time, 0.05, 1e-12)).toBe(true);
+
+  // a new simulation replaces the previous one
+  guiHelper.rigidBodyPreset = 'precession';
+  guiHelper.simulate();
+  expect(application.rigidBody === rigidBody).toBe(false);
+  expect(application.rigidBody.twist.angular).toEqual([0.5, 0, 2]);
+});
+
+test('compare paths', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  expect(application.comparisonAxes.visible).toBe(false);
+  application.guiHelper.comparePaths = true;
+  application.updateScrew(coilScrew);
+  application.move();
+  application.animate(0);
+  const vizs = application.pathComparisonVizs;
+  expect(vizs.length).toBe(2);
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+  expect(application.comparisonAxes.visible).toBe(true);
+  // shown in the gui, in degrees
+  const { decoupled } = application.pathComparison;
+  expect(application.guiHelper.decoupledPathLength).toBe(decoupled.length);
+  expect(equalTolerance(application.guiHelper.decoupledSweptAngle, 180 / Math.PI, 1e-9))
+    .toBe(true);
+
+  // both frames end at the same pose
+  application.animate(100);
+  expect(application.moveDone).toBe(true);
+  [application.refAxes, application.comparisonAxes].forEach((axes) => {
+    expect(equalMatrixTolerance(
+      transformFromThreePose(axes.position, axes.quaternion),
+      coilScrew.getTransform(),
+      1e-6,
+    )).toBe(true);
+  });
+
+  // not compared once unchecked
+  application.guiHelper.comparePaths = false;
+  application.move();
+  application.animate(101);
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(false));
+  expect(application.pathComparison === undefined).toBe(true);
+  expect(application.comparisonAxes.visible).toBe(false);
+  expect(application.guiHelper.screwPathLength).toBe(0);
+
+  application.guiHelper.comparePaths = true;
+  application.move();
+  application.animate(102);
+  application.reset();
+  expect(application.pathComparisonVizs.length).toBe(0);
+  expect(application.comparisonAxes.visible).toBe(false);
+});
+
+test('solve inverse kinematics to the gui transform inputs', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  // within reach of the elbow manipulator
+  application.guiHelper.setAllRepresentationsFromScrew(coilScrew);
+  application.guiHelper.solveInverseKinematics();
+  const { inverseKinematics } = application;
+  expect(inverseKinematics.converged).toBe(true);
+  expect(application.guiHelper.inverseKinematicsConverged).toBe(true);
+  // the last iteration is at the target
+  const { transform } = inverseKinematics.history[inverseKinematics.iterations];
+  expect(equalMatrixTolerance(transform, coilScrew.getTransform(), 1e-6)).toBe(true);
+
+  // a link for each joint and the end-effector, and axes for each iteration
+  const vizs = application.inverseKinematicsVizs;
+  expect(vizs.length).toBe(8);
+  expect(vizs[7].children.length).toBe(inverseKinematics.history.length);
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+
+  // out of reach
+  application.solveInverseKinematics(setTransformTranslation(identity(4), [0, 0, 3]));
+  vizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(false));
+  expect(application.inverseKinematics.converged).toBe(false);
+  expect(application.guiHelper.inverseKinematicsConverged).toBe(false);
+
+  application.reset();
+  expect(application.inverseKinematics === undefined).toBe(true);
+  expect(application.inverseKinematicsVizs.length).toBe(0);
+});
+
+// a pick and place like cycle
+const waypoints = [
+  translationScrew.getTransform(),
+  coilScrew.getTransform(),
+  identity(4),
+];
+
+test('waypoint legs compose to the waypoints', () => {
+  const legs = getWaypointLegs(identity(4), waypoints);
+  expect(legs.length).toBe(3);
+  expect(legs[1].start).toBe(waypoints[0]);
+  legs.forEach((leg, i) => {
+    expect(equalMatrixTolerance(
+      multiply(leg.start, leg.screw.getTransform()),
+      waypoints[i],
+      1e-12,
+    )).toBe(true);
+  });
+});
+
+test('move through waypoints', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  waypoints.forEach((waypoint) => application.addWaypoint(waypoint));
+  expect(application.guiHelper.numWaypoints).toBe(3);
+
+  application.move();
+  application.animate(0);
+  expect(application.legIndex).toBe(0);
+  // no single move viz, and viz for every leg
+  expect(application.axisViz === undefined).toBe(true);
+  // axis for each leg, helix for the legs to and from the coil pose
+  expect(application.legVizs.length).toBe(5);
+  application.legVizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+
+  const durations = application.legs.map((leg) => leg.timeScaling.duration);
+  application.animate(durations[0] * 0.5);
+  expect(application.legIndex).toBe(0);
+  expect(application.moveDone).toBe(false);
+
+  // skips to the last leg
+  application.animate(durations[0] + durations[1] + durations[2] * 0.5);
+  expect(application.legIndex).toBe(2);
+  expect(application.moveDone).toBe(false);
+
+  application.animate(durations[0] + durations[1] + durations[2] * 1.1);
+  expect(application.moveDone).toBe(true);
+  expect(equalMatrixTolerance(
+    transformFromThreePose(application.refAxes.position, application.refAxes.quaternion),
+    waypoints[2],
+    1e-9,
+  )).toBe(true);
+  // leg viz are kept after the move
+  application.legVizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(true));
+});
+
+test('waypoint move -> reset -> single move', () => {
+  const scene = new Scene();
+  const application = new Application(defaultScrew, scene);
+  waypoints.forEach((waypoint) => application.addWaypoint(waypoint));
+  application.move();
+  application.animate(0);
+  const { legVizs } = application;
+
+  application.reset();
+  legVizs.forEach((viz) => expect(scene.children.includes(viz)).toBe(false));
+  expect(application.legs === undefined).toBe(true);
+  // waypoints are kept
+  expect(application.waypoints.length).toBe(3);
+
+  application.clearWaypoints();
+  expect(application.guiHelper.numWaypoints).toBe(0);
+  application.updateScrew(coilScrew);
+  application.move();
+  application.animate(1);
+  expect(application.legs === undefined).toBe(true);
+  expect(scene.children.includes(application.axisViz)).toBe(true);
+});
+
+test('add waypoint from gui transform inputs', () => {
+  const application = new Application(defaultScrew);
+  application.guiHelper.setAllRepresentationsFromScrew(coilScrew);
+  application.guiHelper.addWaypoint();
+  expect(application.waypoints.length).toBe(1);
+  expect(equalMatrixTolerance(application.waypoints[0], coilScrew.getTransform(), 1e-9))
+    .toBe(true);
+  application.guiHelper.clearWaypoints();
+  expect(application.waypoints.length).toBe(0);
+});
@@ -1,6 +1,24 @@
-import { equal } from 'mathjs';
+import {
+  equal, subtract, dot, norm, identity, multiply, cross,
+} from 'mathjs';
+import { Mesh, SphereGeometry, TubeGeometry } from 'three';
 
 import Axis from '../src/axis';
+import {
+  equalTolerance, setTransformTranslation, setTransformRotation, rotationMatrixFromAxisAngle,
+  rotationMatrixFromTransform, translationFromTransform,
+} from '../src/util';
+
+const TOLERANCE = 1e-12;
+
+/**
+* @param {Array} vector1
+* @param {Array} vector2
+* @return {bool}
+*/
+function vectorsClose(vector1, vector2) {
+  return vector1.every((element, i) => equalTolerance(element, vector2[i], TOLERANCE));
+}
 
 test('constructor throws on zero direction norm', () => {
   expect(() => new Axis([0, 0, 0], [0, 0, 0])).toThrow(
@@ -31,3 +49,143 @@ test('get axis closest point', () => {
   expect(equal(closest[1], expected[1])).toBe(true);
   expect(equal(closest[2], expected[2])).toBe(true);
 });
+
+test('common normal of skew axes', () => {
+  // x-axis, and an axis along y through [0, 0, 2], DH a = 2, alpha = pi / 2
+  const axis = new Axis([3, 0, 0], [1, 0, 0]);
+  const other = new Axis([0, -1, 2], [0, 1, 0]);
+  const normal = axis.commonNormal(other);
+  expect(normal.relation).toBe('skew');
+  expect(vectorsClose(normal.foot, [0, 0, 0])).toBe(true);
+  expect(vectorsClose(normal.otherFoot, [0, 0, 2])).toBe(true);
+  expect(vectorsClose(normal.direction, [0, 0, 1])).toBe(true);
+  expect(equalTolerance(normal.distance, 2, TOLERANCE)).toBe(true);
+  expect(equalTolerance(normal.angle, Math.PI / 2, TOLERANCE)).toBe(true);
+  expect(equalTolerance(axis.distanceToAxis(other), 2, TOLERANCE)).toBe(true);
+  expect(axis.intersection(other) === undefined).toBe(true);
+
+  // swapped, the direction flips, and so does the segment between the feet
+  const swapped = other.commonNormal(axis);
+  expect(vectorsClose(swapped.foot, normal.otherFoot)).toBe(true);
+  expect(vectorsClose(swapped.direction, [0, 0, -1])).toBe(true);
+  expect(equalTolerance(swapped.distance, 2, TOLERANCE)).toBe(true);
+
+  // negative if the other axis is behind the common normal direction
+  const below = axis.commonNormal(new Axis([0, 0, -2], [0, 1, 0]));
+  expect(equalTolerance(below.distance, -2, TOLERANCE)).toBe(true);
+  expect(equalTolerance(swapped.angle, Math.PI / 2, TOLERANCE)).toBe(true);
+});
+
+test('common normal of arbitrary skew axes is normal to both', () => {
+  const axis = new Axis([0.3, -1.2, 0.5], [1, 2, -0.5]);
+  const other = new Axis([-2, 0.7, 1.1], [-0.4, 0.1, 1.3]);
+  const { foot, otherFoot, distance } = axis.commonNormal(other);
+  const segment = subtract(otherFoot, foot);
+  expect(axis.containsPoint(foot)).toBe(true);
+  expect(other.containsPoint(otherFoot)).toBe(true);
+  expect(equalTolerance(dot(segment, axis.direction), 0, TOLERANCE)).toBe(true);
+  expect(equalTolerance(dot(segment, other.direction), 0, TOLERANCE)).toBe(true);
+  expect(equalTolerance(norm(segment), Math.abs(distance), TOLERANCE)).toBe(true);
+});
+
+test('common normal of intersecting axes', () => {
+  const axis = new Axis([1, 1, 0], [1, 0, 0]);
+  const other = new Axis([2, 3, 0], [-1, -1, 0]);
+  const normal = axis.commonNormal(other);
+  expect(normal.relation).toBe('intersecting');
+  expect(vectorsClose(normal.foot, [0, 1, 0])).toBe(true);
+  expect(vectorsClose(normal.otherFoot, [0, 1, 0])).toBe(true);
+  expect(equalTolerance(normal.angle, (3 * Math.PI) / 4, TOLERANCE)).toBe(true);
+  expect(vectorsClose(axis.intersection(other), [0, 1, 0])).toBe(true);
+});
+
+test('common normal of parallel and coincident axes', () => {
+  const axis = new Axis([0, 0, 1], [0, 0, 1]);
+  const parallel = axis.commonNormal(new Axis([3, 4, -2], [0, 0, -2]));
+  expect(parallel.relation).toBe('parallel');
+  expect(parallel.foot).toBe(axis.point);
+  expect(vectorsClose(parallel.otherFoot, [3, 4, 1])).toBe(true);
+  expect(vectorsClose(parallel.direction, [0.6, 0.8, 0])).toBe(true);
+  expect(parallel.distance).toBe(5);
+  expect(parallel.angle).toBe(Math.PI);
+  expect(axis.intersection(new Axis([3, 4, -2], [0, 0, 1])) === undefined).toBe(true);
+
+  const coincident = axis.commonNormal(new Axis([0, 0, 5], [0, 0, 1]));
+  expect(coincident.relation).toBe('coincident');
+  expect(coincident.direction === undefined).toBe(true);
+  expect(coincident.distance).toBe(0);
+  expect(coincident.angle).toBe(0);
+  expect(axis.intersection(new Axis([0, 0, 5], [0, 0, 1]))).toBe(axis.point);
+});
+
+test('common normal viz', () => {
+  const axis = new Axis([0, 0, 0], [1, 0, 0]);
+  const segment = axis.getCommonNormalThreeViz(new Axis([0, 0, 2], [0, 1, 0]));
+  expect(segment).toBeInstanceOf(Mesh);
+  expect(segment.geometry).toBeInstanceOf(TubeGeometry);
+
+  // a point where the axes meet
+  const point = axis.getCommonNormalThreeViz(new Axis([1, 0, 0], [0, 1, 0]));
+  expect(point.geometry).toBeInstanceOf(SphereGeometry);
+  expect(point.position.toArray()).toEqual([1, 0, 0]);
+});
+
+test('plucker coordinates round trip', () => {
+  const axis = new Axis([1, -2, 0.5], [0.3, 0.4, -1.2]);
+  const { direction, moment } = axis.getPluckerCoordinates();
+  expect(equalTolerance(norm(direction), 1, TOLERANCE)).toBe(true);
+  expect(equalTolerance(dot(direction, moment), 0, TOLERANCE)).toBe(true);
+
+  // homogeneous, scaling both gives the same line
+  const fromPlucker = Axis.fromPluckerCoordinates(
+    multiply(2.5, direction),
+    multiply(2.5, moment),
+  );
+  expect(fromPlucker.equalTo(axis)).toBe(true);
+  // the point closest to the origin
+  expect(vectorsClose(fromPlucker.point, axis.getClosestPointToOrigin())).toBe(true);
+});
+
+test('plucker coordinates raise on invalid inputs', () => {
+  expect(() => Axis.fromPluckerCoordinates([0, 0, 0], [1, 0, 0])).toThrow('zero norm');
+  expect(() => Axis.fromPluckerCoordinates([0, 0, 2], [1, 0, 0.1])).toThrow(
+    'is not normal to direction',
+  );
+});
+
+test('transformed plucker coordinates', () => {
+  const axis = new Axis([1, -2, 0.5], [0.3, 0.4, -1.2]);
+  let g = identity(4);
+  g = setTransformTranslation(g, [0.2, 1.5, -0.7]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([1, 1, 0], 0.8));
+  const R = rotationMatrixFromTransform(g);
+  const p = translationFromTransform(g);
+
+  const { direction, moment } = axis.getTransformedPluckerCoordinates(g);
+  // same as transforming a point and the direction
+  const expected = new Axis(
+    multiply(R, axis.point).toArray().map((element, i) => element + p[i]),
+    multiply(R, axis.direction).toArray(),
+  ).getPluckerCoordinates();
+  expect(vectorsClose(direction, expected.direction)).toBe(true);
+  expect(vectorsClose(moment, expected.moment)).toBe(true);
+  expect(vectorsClose(moment, cross(
+    Axis.fromPluckerCoordinates(direction, moment).point,
+    direction,
+  ))).toBe(true);
+});
+
+test('transformed axis', () => {
+  const axis = new Axis([1, -2, 0.5], [0.3, 0.4, -1.2]);
+  let g = identity(4);
+  g = setTransformTranslation(g, [0.2, 1.5, -0.7]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([1, 1, 0], 0.8));
+
+  const transformed = axis.transformedBy(g);
+  // the point is kept, not moved to the closest point to the origin
+  const point = multiply(g, [...axis.point, 1]).toArray();
+  expect(vectorsClose(transformed.point, point.slice(0, 3))).toBe(true);
+  const { direction, moment } = axis.getTransformedPluckerCoordinates(g);
+  expect(vectorsClose(transformed.direction, direction)).toBe(true);
+  expect(vectorsClose(transformed.getPluckerCoordinates().moment, moment)).toBe(true);
+});
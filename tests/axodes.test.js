@@ -0,0 +1,113 @@
+import {
+  instantaneousScrewAxes, instantaneousScrewAxesOfMotion, getAxodeThreeMesh, getAxodeThreeMeshes,
+  FIXED_AXODE_COLOR, MOVING_AXODE_COLOR,
+} from '../src/axodes';
+import {
+  equalTolerance, rotationMatrixFromAxisAngle, transformFromRotationTranslation,
+} from '../src/util';
+import Twist from '../src/twist';
+import Screw from '../src/screw';
+import Axis from '../src/axis';
+
+const TOLERANCE = 1e-6;
+
+// radius of the rolling cylinder
+const RADIUS = 0.5;
+
+/**
+* A cylinder about the body y axis, rolling without slipping along x on the
+* plane z = 0. The fixed axode is the plane, the moving axode the cylinder.
+* @param {number} time - the rolled angle
+* @return {mathjs.Matrix}
+*/
+function rollingCylinder(time) {
+  return transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([0, 1, 0], time),
+    [RADIUS * time, 0, RADIUS],
+  );
+}
+
+/**
+* @param {Object} axes - an element of instantaneousScrewAxes
+* @param {number} time
+*/
+function expectRollingAxes({ fixedAxis, movingAxis }, time) {
+  // the line of contact with the plane
+  expect(equalTolerance(fixedAxis.distanceToPoint([RADIUS * time, 0, 0]), 0, TOLERANCE)).toBe(true);
+  expect(equalTolerance(Math.abs(fixedAxis.direction[1]), 1, TOLERANCE)).toBe(true);
+  // on the cylinder
+  expect(equalTolerance(movingAxis.distanceToPoint([0, 0, 0]), RADIUS, TOLERANCE)).toBe(true);
+  expect(equalTolerance(Math.abs(movingAxis.direction[1]), 1, TOLERANCE)).toBe(true);
+}
+
+const times = Array.from({ length: 21 }, (value, i) => i * 0.05);
+
+test('constant twist has a fixed axis', () => {
+  const twist = new Twist([0.3, -0.2, 0.1], [0.1, 0.4, -0.2]);
+  const transforms = times.map((time) => twist.multiply(time).getTransform());
+  const { axis } = Screw.fromTwist(twist);
+  instantaneousScrewAxes(times, transforms).forEach(({ screw, fixedAxis, movingAxis }) => {
+    expect(equalTolerance(screw.magnitude, twist.norm(), TOLERANCE)).toBe(true);
+    expect(fixedAxis.equalTo(axis)).toBe(true);
+    // the pose commutes with its own twist, so the body axis is the same
+    expect(movingAxis.equalTo(axis)).toBe(true);
+  });
+});
+
+test('rolling cylinder', () => {
+  const transforms = times.map(rollingCylinder);
+  instantaneousScrewAxes(times, transforms, 'fivePoint').forEach((axes, i) => {
+    // rolling without slipping
+    expect(equalTolerance(axes.screw.pitch, 0, TOLERANCE)).toBe(true);
+    expectRollingAxes(axes, times[i]);
+  });
+
+  const fromMotion = instantaneousScrewAxesOfMotion(rollingCylinder, [0.2, 1.3, -2]);
+  fromMotion.forEach((axes, i) => expectRollingAxes(axes, [0.2, 1.3, -2][i]));
+  expect(fromMotion[1].time).toBe(1.3);
+
+  expect(() => instantaneousScrewAxesOfMotion(rollingCylinder, times, 0)).toThrow('must be positive');
+});
+
+test('no axis for translation', () => {
+  const twist = new Twist([1, 2, 0], [0, 0, 0]);
+  const transforms = times.map((time) => twist.multiply(time).getTransform());
+  const axes = instantaneousScrewAxes(times, transforms);
+  axes.forEach(({ fixedAxis, movingAxis }) => {
+    expect(fixedAxis === undefined).toBe(true);
+    expect(movingAxis === undefined).toBe(true);
+  });
+
+  const { fixed, moving } = getAxodeThreeMeshes(axes);
+  expect(fixed.geometry.getIndex().count).toBe(0);
+  expect(moving.geometry.getIndex().count).toBe(0);
+});
+
+test('axode mesh', () => {
+  const axes = [
+    new Axis([0, 0, 0], [0, 1, 0]),
+    // flipped, and offset along the axis
+    new Axis([1, 5, 0], [0, -1, 0]),
+    undefined,
+    new Axis([2, 0, 1], [0, 1, 0]),
+    new Axis([3, 0, 1], [0, 1, 0]),
+  ];
+  const mesh = getAxodeThreeMesh(axes, 0x000000, 2);
+  const position = mesh.geometry.getAttribute('position');
+  expect(position.count).toBe(8);
+  // a quad between the first two rulings, and between the last two
+  expect(mesh.geometry.getIndex().count).toBe(12);
+
+  // centered next to the previous ruling, and aligned with it
+  expect([position.getX(2), position.getY(2), position.getZ(2)]).toEqual([1, -1, 0]);
+  expect([position.getX(3), position.getY(3), position.getZ(3)]).toEqual([1, 1, 0]);
+  // the gap restarts at the point closest to the origin
+  expect([position.getX(4), position.getY(4), position.getZ(4)]).toEqual([2, -1, 1]);
+
+  const { fixed, moving } = getAxodeThreeMeshes(
+    instantaneousScrewAxes(times, times.map(rollingCylinder)),
+  );
+  expect(fixed.material.color.getHex()).toBe(FIXED_AXODE_COLOR);
+  expect(moving.material.color.getHex()).toBe(MOVING_AXODE_COLOR);
+  expect(fixed.geometry.getAttribute('position').count).toBe(2 * times.length);
+});
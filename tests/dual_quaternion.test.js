@@ -0,0 +1,125 @@
+import {
+  identity, multiply,
+} from 'mathjs';
+import { Quaternion } from 'three';
+
+import {
+  setTransformTranslation, setTransformRotation, rotationMatrixFromAxisAngle,
+  equalMatrixTolerance, equalTolerance,
+} from '../src/util';
+
+import DualQuaternion from '../src/dual_quaternion';
+import Screw from '../src/screw';
+import Axis from '../src/axis';
+
+function arbitraryTransform() {
+  let g = identity(4);
+  g = setTransformTranslation(g, [0.231, -4.312, 0.063]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([2.012, 1.044, -0.569], -0.513));
+  return g;
+}
+
+/**
+* Axis, pitch and magnitude match within tolerance.
+*/
+function screwsClose(screw1, screw2, tolerance) {
+  return (
+    screw1.axis.direction.every(
+      (value, i) => equalTolerance(value, screw2.axis.direction[i], tolerance),
+    )
+      && equalTolerance(screw1.axis.distanceToPoint(screw2.axis.point), 0, tolerance)
+      && (screw1.pitch === screw2.pitch
+        || equalTolerance(screw1.pitch, screw2.pitch, tolerance))
+      && equalTolerance(screw1.magnitude, screw2.magnitude, tolerance)
+  );
+}
+
+test('identity dual quaternion', () => {
+  const dq = new DualQuaternion();
+  expect(equalMatrixTolerance(dq.getTransform(), identity(4), 1e-12)).toBe(true);
+});
+
+test('transform round trip', () => {
+  const g = arbitraryTransform();
+  const dq = DualQuaternion.fromTransform(g);
+  expect(equalMatrixTolerance(dq.getTransform(), g, 1e-12)).toBe(true);
+});
+
+test('multiplication matches transform product', () => {
+  const g1 = arbitraryTransform();
+  let g2 = identity(4);
+  g2 = setTransformTranslation(g2, [1, 0.5, -2]);
+  g2 = setTransformRotation(g2, rotationMatrixFromAxisAngle([0, 1, 1], 2.1));
+
+  const product = DualQuaternion.fromTransform(g1).multiply(DualQuaternion.fromTransform(g2));
+  expect(equalMatrixTolerance(product.getTransform(), multiply(g1, g2), 1e-12)).toBe(true);
+});
+
+test('conjugate is inverse of unit dual quaternion', () => {
+  const dq = DualQuaternion.fromTransform(arbitraryTransform());
+  const product = dq.multiply(dq.conjugate());
+  expect(equalMatrixTolerance(product.getTransform(), identity(4), 1e-12)).toBe(true);
+});
+
+test('normalize', () => {
+  const dq = new DualQuaternion(new Quaternion(0, 0, 2, 0), new Quaternion(1, 0.5, 0, 0.3));
+  const unit = dq.normalize();
+  expect(equalTolerance(unit.real.length(), 1, 1e-12)).toBe(true);
+  expect(equalTolerance(unit.real.dot(unit.dual), 0, 1e-12)).toBe(true);
+  // zero real part is treated as identity
+  const zero = new DualQuaternion(new Quaternion(0, 0, 0, 0)).normalize();
+  expect(zero.real.w).toBe(1);
+});
+
+test('screw round trip', () => {
+  const screw = new Screw(new Axis([0.5, -0.2, 1], [1, 0.4, -2]), 0.3, 2.5);
+  const dq = DualQuaternion.fromScrew(screw);
+  expect(equalMatrixTolerance(dq.getTransform(), screw.getTransform(), 1e-12)).toBe(true);
+  expect(screwsClose(dq.toScrew(), screw, 1e-12)).toBe(true);
+});
+
+test('pure translation screw round trip', () => {
+  const screw = new Screw(new Axis([0, 0, 0], [1, 1, 0]), Infinity, 1.5);
+  const dq = DualQuaternion.fromScrew(screw);
+  expect(equalMatrixTolerance(dq.getTransform(), screw.getTransform(), 1e-12)).toBe(true);
+  const roundTrip = dq.toScrew();
+  expect(roundTrip.isPureTranslation).toBe(true);
+  expect(screwsClose(roundTrip, screw, 1e-12)).toBe(true);
+});
+
+test('screw of transform matches Screw.fromTransform', () => {
+  const g = arbitraryTransform();
+  const screw = DualQuaternion.fromTransform(g).toScrew();
+  expect(equalMatrixTolerance(screw.getTransform(), g, 1e-12)).toBe(true);
+  expect(screwsClose(screw, Screw.fromTransform(g), 1e-12)).toBe(true);
+});
+
+test('sclerp follows the screw', () => {
+  const screw = new Screw(new Axis([0.5, -0.2, 1], [1, 0.4, -2]), 0.3, 2.5);
+  const start = new DualQuaternion();
+  const end = DualQuaternion.fromScrew(screw);
+
+  [0, 0.25, 0.5, 0.8, 1].forEach((t) => {
+    expect(
+      equalMatrixTolerance(
+        DualQuaternion.sclerp(start, end, t).getTransform(),
+        screw.getTransformAtMagnitude(t * screw.magnitude),
+        1e-12,
+      ),
+    ).toBe(true);
+  });
+});
+
+test('sclerp takes the short way', () => {
+  const screw = new Screw(new Axis([0, 0, 0], [0, 0, 1]), 0, 1);
+  const end = DualQuaternion.fromScrew(screw);
+  // same transform, opposite sign
+  const flipped = new DualQuaternion(
+    new Quaternion(-end.real.x, -end.real.y, -end.real.z, -end.real.w),
+    new Quaternion(-end.dual.x, -end.dual.y, -end.dual.z, -end.dual.w),
+  );
+  const halfway = DualQuaternion.sclerp(new DualQuaternion(), flipped, 0.5);
+  expect(
+    equalMatrixTolerance(halfway.getTransform(), screw.getTransformAtMagnitude(0.5), 1e-12),
+  ).toBe(true);
+});
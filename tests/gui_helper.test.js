@@ -1,10 +1,11 @@
 import {
   getLeafNodePaths, joinTokensCamelCase,
   REPRESENTATION_LEAF_PATHS, componentsToField,
-  cleanQuaternion, GuiHelper,
+  cleanQuaternion, cleanPluckerMoment, GuiHelper,
 } from '../src/gui_helper';
 import {
-  equalTolerance,
+  equalTolerance, equalMatrixTolerance, rotationMatrixFromEulerAngles,
+  rotationMatrixFromTransform, rotationMatrixFromAxisAngle, deg2rad, rad2deg,
 } from '../src/util';
 import Screw from '../src/screw';
 import Axis from '../src/axis';
@@ -104,3 +105,116 @@ test('representation fields defined', () => {
     },
   );
 });
+
+test('dual quaternion fields round trip', () => {
+  const defaultScrew = new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 0);
+  const guiHelper = new GuiHelper(defaultScrew);
+
+  const screw = new Screw(new Axis([0.5, -0.2, 1], [1, 0.4, -2]), 0.3, 2.5);
+  guiHelper.setAllRepresentationsFromScrew(screw);
+  const fromFields = guiHelper.representationToScrew('dualQuaternion');
+  expect(
+    equalMatrixTolerance(fromFields.getTransform(), screw.getTransform(), 1e-12),
+  ).toBe(true);
+});
+
+test('euler fields set quaternion', () => {
+  const defaultScrew = new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 0);
+  const guiHelper = new GuiHelper(defaultScrew);
+  guiHelper.transformEulerSequence = 'ZXZ';
+  guiHelper.transformEulerExtrinsic = true;
+  guiHelper.transformEulerAlpha = 30;
+  guiHelper.transformEulerBeta = -50;
+  guiHelper.transformEulerGamma = 100;
+  guiHelper.transformComponentChanged('euler');
+
+  const expected = rotationMatrixFromEulerAngles(
+    [deg2rad(30), deg2rad(-50), deg2rad(100)],
+    'ZXZ',
+    true,
+  );
+  const R = rotationMatrixFromTransform(guiHelper.transformToScrew().getTransform());
+  expect(equalMatrixTolerance(R, expected, 1e-9)).toBe(true);
+  // the other orientation inputs are in sync
+  const rpy = rotationMatrixFromEulerAngles(
+    [deg2rad(guiHelper.transformRpyRoll), deg2rad(guiHelper.transformRpyPitch),
+      deg2rad(guiHelper.transformRpyYaw)],
+    'XYZ',
+    true,
+  );
+  expect(equalMatrixTolerance(rpy, expected, 1e-9)).toBe(true);
+});
+
+test('rpy and rotation vector fields set quaternion', () => {
+  const defaultScrew = new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 0);
+  const guiHelper = new GuiHelper(defaultScrew);
+  guiHelper.transformRpyRoll = 10;
+  guiHelper.transformRpyPitch = 20;
+  guiHelper.transformRpyYaw = 30;
+  guiHelper.transformComponentChanged('rpy');
+  let R = rotationMatrixFromTransform(guiHelper.transformToScrew().getTransform());
+  expect(
+    equalMatrixTolerance(
+      R,
+      rotationMatrixFromEulerAngles([deg2rad(10), deg2rad(20), deg2rad(30)], 'XYZ', true),
+      1e-9,
+    ),
+  ).toBe(true);
+
+  guiHelper.transformRotationVectorX = 0;
+  guiHelper.transformRotationVectorY = 0.5;
+  guiHelper.transformRotationVectorZ = 0;
+  guiHelper.transformComponentChanged('rotationVector');
+  R = rotationMatrixFromTransform(guiHelper.transformToScrew().getTransform());
+  expect(equalMatrixTolerance(R, rotationMatrixFromAxisAngle([0, 1, 0], 0.5), 1e-9)).toBe(true);
+  expect(equalTolerance(guiHelper.transformEulerBeta, rad2deg(0.5), 1e-9)).toBe(true);
+});
+
+test('gimbal lock flagged', () => {
+  const defaultScrew = new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 0);
+  const guiHelper = new GuiHelper(defaultScrew);
+  // identity is gimbal locked for proper euler sequences, not for ZYX
+  expect(guiHelper.transformEulerGimbalLock).toBe(false);
+  guiHelper.transformEulerSequence = 'ZYZ';
+  guiHelper.setTransformOrientationInputsFromQuaternion();
+  expect(guiHelper.transformEulerGimbalLock).toBe(true);
+
+  // pitch of 90 degrees locks roll and yaw
+  guiHelper.transformRpyRoll = 0;
+  guiHelper.transformRpyPitch = 90;
+  guiHelper.transformRpyYaw = 0;
+  guiHelper.transformComponentChanged('rpy');
+  expect(guiHelper.transformRpyGimbalLock).toBe(true);
+});
+
+test('clean plucker moment', () => {
+  expect(cleanPluckerMoment([0, 0, 2], [1, 2, 3])).toEqual([1, 2, 0]);
+  expect(cleanPluckerMoment([0, 0, 0], [1, 2, 3])).toEqual([1, 2, 3]);
+});
+
+test('screw plucker fields set axis fields', () => {
+  const defaultScrew = new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 0);
+  const guiHelper = new GuiHelper(defaultScrew);
+  const screw = new Screw(new Axis([0.5, -0.2, 1], [1, 0.4, -2]), 0.3, 2.5);
+  guiHelper.setAllRepresentationsFromScrew(screw);
+  expect(guiHelper.screwToScrew().valuesEqualTo(screw)).toBe(true);
+
+  // the line along x through [0, 0, 1], with a moment component along x to
+  // be removed
+  guiHelper.screwPluckerDirectionX = 2;
+  guiHelper.screwPluckerDirectionY = 0;
+  guiHelper.screwPluckerDirectionZ = 0;
+  guiHelper.screwPluckerMomentX = 0.5;
+  guiHelper.screwPluckerMomentY = 2;
+  guiHelper.screwPluckerMomentZ = 0;
+  guiHelper.screwComponentChanged('plucker');
+  expect(guiHelper.screwToScrew().axis.equalTo(new Axis([0, 0, 1], [1, 0, 0]))).toBe(true);
+  expect(guiHelper.screwPluckerDirectionX).toBe(1);
+  expect(guiHelper.screwPluckerMomentX).toBe(0);
+  expect(guiHelper.screwPluckerMomentY).toBe(1);
+
+  // and the other way round
+  guiHelper.screwAxisPointZ = 3;
+  guiHelper.screwComponentChanged('axis');
+  expect(guiHelper.screwPluckerMomentY).toBe(3);
+});
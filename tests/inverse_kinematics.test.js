@@ -0,0 +1,82 @@
+import {
+  identity,
+} from 'mathjs';
+
+import {
+  setTransformTranslation, equalMatrixTolerance,
+} from '../src/util';
+
+import {
+  solveInverseKinematics, clampToJointLimits, getHistoryThreeViz,
+} from '../src/inverse_kinematics';
+import KinematicChain from '../src/kinematic_chain';
+import Screw from '../src/screw';
+import Axis from '../src/axis';
+
+// an elbow manipulator, MLS Figure 3.4 layout with unit link lengths
+const jointScrews = [
+  new Screw(new Axis([0, 0, 0], [0, 0, 1]), 0, 1),
+  new Screw(new Axis([0, 0, 0], [-1, 0, 0]), 0, 1),
+  new Screw(new Axis([0, 1, 0], [-1, 0, 0]), 0, 1),
+  new Screw(new Axis([0, 2, 0], [0, 0, 1]), 0, 1),
+  new Screw(new Axis([0, 2, 0], [-1, 0, 0]), 0, 1),
+  new Screw(new Axis([0, 2, 0], [0, 1, 0]), 0, 1),
+];
+const homeTransform = setTransformTranslation(identity(4), [0, 2, 0]);
+const chain = new KinematicChain(jointScrews, homeTransform);
+
+test('clamp to joint limits', () => {
+  expect(clampToJointLimits([1, -2, 3], undefined)).toEqual([1, -2, 3]);
+  expect(clampToJointLimits([1, -2, 3], [[0, 0.5], undefined, [-1, 4]])).toEqual([0.5, -2, 3]);
+});
+
+test('solve reachable target', () => {
+  const targetValues = [0.3, -0.4, 0.8, 0.1, 0.5, -0.2];
+  const target = chain.getTransform(targetValues);
+  const result = solveInverseKinematics(chain, target, [0, 0, 0.5, 0, 0, 0]);
+
+  expect(result.converged).toBe(true);
+  expect(result.history.length).toBe(result.iterations + 1);
+  expect(
+    equalMatrixTolerance(chain.getTransform(result.jointValues), target, 1e-6),
+  ).toBe(true);
+  // final error is below the first
+  expect(result.history[result.iterations].error < result.history[0].error).toBe(true);
+});
+
+test('solve respects joint limits', () => {
+  const target = chain.getTransform([0.3, -0.4, 0.8, 0.1, 0.5, -0.2]);
+  const jointLimits = [[-0.1, 0.1], undefined, undefined, undefined, undefined, undefined];
+  const result = solveInverseKinematics(
+    chain,
+    target,
+    [0, 0, 0.5, 0, 0, 0],
+    { jointLimits, maxIterations: 20 },
+  );
+  // the first joint cannot reach 0.3
+  expect(result.converged).toBe(false);
+  result.history.forEach((iterate) => {
+    expect(Math.abs(iterate.jointValues[0]) <= 0.1).toBe(true);
+  });
+});
+
+test('solve without iterations', () => {
+  const target = chain.getTransform([0.3, -0.4, 0.8, 0.1, 0.5, -0.2]);
+  const result = solveInverseKinematics(chain, target, [0, 0, 0, 0, 0, 0], { maxIterations: 0 });
+  expect(result.converged).toBe(false);
+  expect(result.iterations).toBe(0);
+  expect(result.history.length).toBe(1);
+});
+
+test('solve raise on joint value count mismatch', () => {
+  expect(() => solveInverseKinematics(chain, homeTransform, [0, 0])).toThrow(
+    'does not match number of joints',
+  );
+});
+
+test('history to three viz', () => {
+  const target = chain.getTransform([0.3, -0.4, 0.8, 0.1, 0.5, -0.2]);
+  const result = solveInverseKinematics(chain, target, [0, 0, 0.5, 0, 0, 0]);
+  const viz = getHistoryThreeViz(result.history);
+  expect(viz.children.length).toBe(result.history.length);
+});
@@ -0,0 +1,167 @@
+import {
+  identity, sin, cos, subtract, multiply, subset, index, size,
+} from 'mathjs';
+
+import {
+  setTransformTranslation, translationFromTransform, equalTolerance,
+  equalMatrixTolerance, rotationMatrixFromAxisAngle, rotationMatrixFromTransform,
+  inverseTransform, setTransformRotation,
+} from '../src/util';
+
+import KinematicChain, {
+  spatialJacobian, bodyJacobian, spatialToBodyJacobian, bodyToSpatialJacobian,
+  jacobianMatrix,
+} from '../src/kinematic_chain';
+import Twist from '../src/twist';
+import Screw from '../src/screw';
+import Axis from '../src/axis';
+
+// planar RRP arm, link lengths l1, l2, prismatic joint along z at the tip
+const l1 = 1.0;
+const l2 = 0.5;
+const jointScrews = [
+  new Screw(new Axis([0, 0, 0], [0, 0, 1]), 0, 1),
+  new Screw(new Axis([l1, 0, 0], [0, 0, 1]), 0, 1),
+  new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 1),
+];
+const homeTransform = setTransformTranslation(identity(4), [l1 + l2, 0, 0]);
+
+test('chain raise on joint value count mismatch', () => {
+  const chain = new KinematicChain(jointScrews, homeTransform);
+  expect(() => chain.forwardKinematics([0, 0])).toThrow(
+    'does not match number of joints',
+  );
+});
+
+test('chain raise on link home transform count mismatch', () => {
+  expect(() => new KinematicChain(jointScrews, homeTransform, [identity(4)])).toThrow(
+    'does not match number of joints',
+  );
+});
+
+test('forward kinematics at home', () => {
+  const chain = new KinematicChain(jointScrews, homeTransform);
+  const { transform, linkTransforms } = chain.forwardKinematics([0, 0, 0]);
+  expect(equalMatrixTolerance(transform, homeTransform, 1e-12)).toBe(true);
+  expect(linkTransforms.length).toBe(3);
+  linkTransforms.forEach((linkTransform) => {
+    expect(equalMatrixTolerance(linkTransform, identity(4), 1e-12)).toBe(true);
+  });
+});
+
+test('forward kinematics of planar arm', () => {
+  const chain = new KinematicChain(jointScrews, homeTransform);
+  const theta1 = 0.4;
+  const theta2 = -1.1;
+  const d3 = 0.3;
+  const transform = chain.getTransform([theta1, theta2, d3]);
+
+  const translation = translationFromTransform(transform);
+  const expected = [
+    l1 * cos(theta1) + l2 * cos(theta1 + theta2),
+    l1 * sin(theta1) + l2 * sin(theta1 + theta2),
+    d3,
+  ];
+  translation.forEach((value, i) => {
+    expect(equalTolerance(value, expected[i], 1e-12)).toBe(true);
+  });
+
+  expect(
+    equalMatrixTolerance(
+      rotationMatrixFromTransform(transform),
+      rotationMatrixFromAxisAngle([0, 0, 1], theta1 + theta2),
+      1e-12,
+    ),
+  ).toBe(true);
+});
+
+test('link frames of planar arm', () => {
+  // link frames at the joint axes
+  const linkHomeTransforms = [
+    identity(4),
+    setTransformTranslation(identity(4), [l1, 0, 0]),
+    homeTransform,
+  ];
+  const chain = new KinematicChain(jointScrews, homeTransform, linkHomeTransforms);
+  const theta1 = 0.4;
+  const { transform, linkTransforms } = chain.forwardKinematics([theta1, 0.2, 0]);
+
+  // second link frame is at the elbow
+  const elbow = translationFromTransform(linkTransforms[1]);
+  expect(equalTolerance(elbow[0], l1 * cos(theta1), 1e-12)).toBe(true);
+  expect(equalTolerance(elbow[1], l1 * sin(theta1), 1e-12)).toBe(true);
+  // last link frame coincides with the end-effector here
+  expect(equalMatrixTolerance(linkTransforms[2], transform, 1e-12)).toBe(true);
+});
+
+// a spatial arm with non-trivial joint layout
+const spatialScrews = [
+  new Screw(new Axis([0, 0, 0], [0, 0, 1]), 0, 1),
+  new Screw(new Axis([0, 0, 0.5], [0, 1, 0]), 0, 1),
+  new Screw(new Axis([0.7, 0, 0.5], [0, 1, 0]), 0.1, 1),
+  new Screw(new Axis([0, 0, 0], [1, 0, 1]), Infinity, 1),
+  new Screw(new Axis([1.2, 0.1, 0.5], [1, 0, 0]), 0, 1),
+];
+const spatialHome = setTransformRotation(
+  setTransformTranslation(identity(4), [1.3, 0.1, 0.4]),
+  rotationMatrixFromAxisAngle([0.2, 1, -0.3], 0.8),
+);
+const spatialValues = [0.3, -0.6, 1.1, 0.25, -2.0];
+
+/**
+* Twist of the matrix (dg/dvalue_i) g^-1, by forward differences.
+*/
+function finiteDifferenceSpatialColumn(chain, jointValues, i) {
+  const delta = 1e-7;
+  const perturbed = jointValues.slice();
+  perturbed[i] += delta;
+  const g = chain.getTransform(jointValues);
+  const gDot = multiply(subtract(chain.getTransform(perturbed), g), 1 / delta);
+  const xiHat = multiply(gDot, inverseTransform(g));
+  return new Twist(
+    [subset(xiHat, index(0, 3)), subset(xiHat, index(1, 3)), subset(xiHat, index(2, 3))],
+    [subset(xiHat, index(2, 1)), subset(xiHat, index(0, 2)), subset(xiHat, index(1, 0))],
+  );
+}
+
+test('spatial jacobian first column is first joint twist', () => {
+  const chain = new KinematicChain(spatialScrews, spatialHome);
+  const columns = chain.spatialJacobian(spatialValues);
+  expect(columns.length).toBe(5);
+  expect(columns[0].coordinates).toEqual(chain.jointTwists[0].coordinates);
+});
+
+test('spatial jacobian matches finite differences', () => {
+  const chain = new KinematicChain(spatialScrews, spatialHome);
+  const columns = spatialJacobian(chain.jointTwists, spatialValues);
+  columns.forEach((column, i) => {
+    const expected = finiteDifferenceSpatialColumn(chain, spatialValues, i);
+    column.coordinates.forEach((value, j) => {
+      expect(equalTolerance(value, expected.coordinates[j], 1e-5)).toBe(true);
+    });
+  });
+});
+
+test('body jacobian is spatial jacobian in end-effector frame', () => {
+  const chain = new KinematicChain(spatialScrews, spatialHome);
+  const transform = chain.getTransform(spatialValues);
+  const spatialColumns = chain.spatialJacobian(spatialValues);
+  const bodyColumns = bodyJacobian(chain.jointTwists, spatialValues, spatialHome);
+
+  const mapped = spatialToBodyJacobian(spatialColumns, transform);
+  expect(
+    equalMatrixTolerance(jacobianMatrix(mapped), jacobianMatrix(bodyColumns), 1e-12),
+  ).toBe(true);
+
+  const mappedBack = bodyToSpatialJacobian(bodyColumns, transform);
+  expect(
+    equalMatrixTolerance(jacobianMatrix(mappedBack), jacobianMatrix(spatialColumns), 1e-12),
+  ).toBe(true);
+});
+
+test('jacobian matrix shape', () => {
+  const chain = new KinematicChain(spatialScrews, spatialHome);
+  const J = jacobianMatrix(chain.bodyJacobian(spatialValues));
+  expect(size(J).toArray()).toEqual([6, 5]);
+  expect(() => jacobianMatrix([])).toThrow('at least one column');
+});
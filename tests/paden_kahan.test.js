@@ -0,0 +1,166 @@
+import {
+  norm, subtract, multiply,
+} from 'mathjs';
+
+import { equalTolerance } from '../src/util';
+
+import {
+  rotationToPoint, rotationAboutTwoAxes, rotationToDistance,
+} from '../src/paden_kahan';
+import Screw from '../src/screw';
+import Axis from '../src/axis';
+
+/**
+* Rotate a point about an axis, the angle can be negative.
+*/
+function rotatePoint(axis, theta, point) {
+  const g = new Screw(axis, 0, 0).unitTwist.multiply(theta).getTransform();
+  return multiply(g, point.concat([1])).toArray().slice(0, 3);
+}
+
+function pointsEqual(point1, point2) {
+  return equalTolerance(norm(subtract(point1, point2)), 0, 1e-9);
+}
+
+const offsetAxis = new Axis([1, 2, 0], [0.2, -0.3, 1]);
+
+test('subproblem 1 single solution', () => {
+  const p = [2, 0.5, 1];
+  const q = rotatePoint(offsetAxis, 1.2, p);
+  const result = rotationToPoint(offsetAxis, p, q);
+  expect(result.infinite).toBe(false);
+  expect(result.solutions.length).toBe(1);
+  expect(equalTolerance(result.solutions[0], 1.2, 1e-9)).toBe(true);
+});
+
+test('subproblem 1 accepts screw', () => {
+  const p = [2, 0.5, 1];
+  const q = rotatePoint(offsetAxis, -2.5, p);
+  const result = rotationToPoint(new Screw(offsetAxis, 0.4, 1), p, q);
+  expect(equalTolerance(result.solutions[0], -2.5, 1e-9)).toBe(true);
+});
+
+test('subproblem 1 no solution', () => {
+  const axis = new Axis([0, 0, 0], [0, 0, 1]);
+  // different heights along the axis
+  expect(rotationToPoint(axis, [1, 0, 0], [0, 1, 1]).solutions.length).toBe(0);
+  // different distances from the axis
+  expect(rotationToPoint(axis, [1, 0, 0], [0, 2, 0]).solutions.length).toBe(0);
+});
+
+test('subproblem 1 infinite solutions', () => {
+  const axis = new Axis([0, 0, 0], [0, 0, 1]);
+  const result = rotationToPoint(axis, [0, 0, 1], [0, 0, 1]);
+  expect(result.infinite).toBe(true);
+  expect(result.solutions.length).toBe(0);
+});
+
+test('subproblem 2 two solutions', () => {
+  const axis1 = new Axis([1, 1, 0], [0, 0, 1]);
+  const axis2 = new Axis([1, 1, 0], [1, 0, 0.2]);
+  const p = [2, 1.5, 0.7];
+  const q = rotatePoint(axis1, 0.4, rotatePoint(axis2, -0.9, p));
+
+  const result = rotationAboutTwoAxes(axis1, axis2, p, q);
+  expect(result.infinite).toBe(false);
+  expect(result.solutions.length).toBe(2);
+  result.solutions.forEach(([theta1, theta2]) => {
+    expect(pointsEqual(rotatePoint(axis1, theta1, rotatePoint(axis2, theta2, p)), q)).toBe(true);
+  });
+  // one of them is the angles we started with
+  expect(
+    result.solutions.some(([theta1, theta2]) => (
+      equalTolerance(theta1, 0.4, 1e-9) && equalTolerance(theta2, -0.9, 1e-9)
+    )),
+  ).toBe(true);
+});
+
+test('subproblem 2 one solution', () => {
+  // The intermediate point is in the plane of the axes, so that the two
+  // circles it lies on are tangent.
+  const axis1 = new Axis([0, 0, 0], [0, 1, 1]);
+  const axis2 = new Axis([0, 0, 0], [1, 0, 0]);
+  const c = [0.6, 0.4, 0.4];
+  const p = rotatePoint(axis2, -0.5, c);
+  const q = rotatePoint(axis1, 0.7, c);
+
+  const result = rotationAboutTwoAxes(axis1, axis2, p, q);
+  expect(result.solutions.length).toBe(1);
+  const [theta1, theta2] = result.solutions[0];
+  expect(equalTolerance(theta1, 0.7, 1e-6)).toBe(true);
+  expect(equalTolerance(theta2, 0.5, 1e-6)).toBe(true);
+});
+
+test('subproblem 2 no solution', () => {
+  const axis1 = new Axis([0, 0, 0], [0, 0, 1]);
+  const axis2 = new Axis([0, 0, 0], [1, 0, 0]);
+  // unequal distances from the intersection
+  expect(rotationAboutTwoAxes(axis1, axis2, [0, 0, 1], [0, 2, 0]).solutions.length).toBe(0);
+  // p can only reach a circle about axis1 at height of p's circle about axis2
+  expect(rotationAboutTwoAxes(axis1, axis2, [1, 0, 0], [0, 0, 1]).solutions.length).toBe(0);
+});
+
+test('subproblem 2 infinite solutions', () => {
+  // p at the intersection
+  const axis1 = new Axis([0, 0, 0], [0, 0, 1]);
+  const axis2 = new Axis([0, 0, 0], [1, 0, 0]);
+  expect(rotationAboutTwoAxes(axis1, axis2, [0, 0, 0], [0, 0, 0]).infinite).toBe(true);
+  // coincident axes
+  const coincident = new Axis([0, 0, 5], [0, 0, -1]);
+  expect(rotationAboutTwoAxes(axis1, coincident, [1, 0, 0], [0, 1, 0]).infinite).toBe(true);
+});
+
+test('subproblem 2 raise on non-intersecting axes', () => {
+  const axis1 = new Axis([0, 0, 0], [0, 0, 1]);
+  const axis2 = new Axis([0, 1, 0], [1, 0, 0]);
+  expect(() => rotationAboutTwoAxes(axis1, axis2, [1, 0, 0], [0, 1, 0])).toThrow(
+    'must intersect',
+  );
+});
+
+test('subproblem 3 two solutions', () => {
+  const p = [2, 0.5, 1];
+  const q = [-1, 3, 0.2];
+  const delta = 3.1;
+  const result = rotationToDistance(offsetAxis, p, q, delta);
+  expect(result.infinite).toBe(false);
+  expect(result.solutions.length).toBe(2);
+  result.solutions.forEach((theta) => {
+    const distance = norm(subtract(rotatePoint(offsetAxis, theta, p), q));
+    expect(equalTolerance(distance, delta, 1e-9)).toBe(true);
+  });
+});
+
+test('subproblem 3 one solution', () => {
+  const axis = new Axis([0, 0, 0], [0, 0, 1]);
+  // closest approach of the circle of p to q
+  const result = rotationToDistance(axis, [1, 0, 0], [0, 3, 0], 2);
+  expect(result.solutions.length).toBe(1);
+  expect(equalTolerance(result.solutions[0], Math.PI / 2, 1e-6)).toBe(true);
+});
+
+test('subproblem 3 no solution', () => {
+  const axis = new Axis([0, 0, 0], [0, 0, 1]);
+  // too close
+  expect(rotationToDistance(axis, [1, 0, 0], [0, 3, 0], 1).solutions.length).toBe(0);
+  // too far
+  expect(rotationToDistance(axis, [1, 0, 0], [0, 3, 0], 5).solutions.length).toBe(0);
+  // smaller than the offset along the axis
+  expect(rotationToDistance(axis, [1, 0, 0], [0, 1, 3], 2).solutions.length).toBe(0);
+});
+
+test('subproblem 3 infinite solutions', () => {
+  const axis = new Axis([0, 0, 0], [0, 0, 1]);
+  // q on the axis, every rotation of p is at the same distance
+  const result = rotationToDistance(axis, [3, 0, 0], [0, 0, 4], 5);
+  expect(result.infinite).toBe(true);
+  // at a different distance there is no solution
+  expect(rotationToDistance(axis, [3, 0, 0], [0, 0, 4], 6).infinite).toBe(false);
+});
+
+test('subproblem 3 raise on negative distance', () => {
+  const axis = new Axis([0, 0, 0], [0, 0, 1]);
+  expect(() => rotationToDistance(axis, [1, 0, 0], [0, 3, 0], -1)).toThrow(
+    'cannot be negative',
+  );
+});
@@ -0,0 +1,97 @@
+import { identity } from 'mathjs';
+
+import {
+  decoupledTransformAt, pathMetrics, comparePaths, getTraceThreeViz,
+  DECOUPLED_TRACE_COLOR, PATH_COMPARISON_SAMPLES,
+} from '../src/path_comparison';
+import {
+  equalTolerance, equalMatrixTolerance, rotationMatrixFromAxisAngle,
+  transformFromRotationTranslation,
+} from '../src/util';
+import Screw from '../src/screw';
+import Axis from '../src/axis';
+
+const TOLERANCE = 1e-12;
+// of the sampled arcs, the sum of chords is short by about angle^2 / 24
+// relative to the arc
+const SAMPLED_TOLERANCE = 1e-4;
+
+// quarter turn about an axis through [1, 0, 0] along z
+const rotationScrew = new Screw(new Axis([1, 0, 0], [0, 0, 1]), 0, Math.PI / 2);
+
+test('decoupled path', () => {
+  const start = identity(4);
+  const end = transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([0, 0, 1], Math.PI / 2),
+    [2, 0, 0],
+  );
+  expect(equalMatrixTolerance(decoupledTransformAt(start, end, 0), start, TOLERANCE)).toBe(true);
+  expect(equalMatrixTolerance(decoupledTransformAt(start, end, 1), end, TOLERANCE)).toBe(true);
+  const middle = transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([0, 0, 1], Math.PI / 4),
+    [1, 0, 0],
+  );
+  expect(equalMatrixTolerance(decoupledTransformAt(start, end, 0.5), middle, TOLERANCE)).toBe(true);
+});
+
+test('path metrics', () => {
+  const transforms = [0, 1, 2].map((i) => transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([1, 0, 0], 0.5 * i),
+    [3 * i, 4 * i, 0],
+  ));
+  const { length, sweptAngle } = pathMetrics(transforms);
+  expect(equalTolerance(length, 10, TOLERANCE)).toBe(true);
+  expect(equalTolerance(sweptAngle, 1, TOLERANCE)).toBe(true);
+});
+
+test('compare a rotation about an offset axis', () => {
+  const { screw, decoupled } = comparePaths(identity(4), rotationScrew);
+  expect(screw.transforms.length).toBe(PATH_COMPARISON_SAMPLES + 1);
+  // same end pose
+  expect(equalMatrixTolerance(
+    screw.transforms[PATH_COMPARISON_SAMPLES],
+    decoupled.transforms[PATH_COMPARISON_SAMPLES],
+    TOLERANCE,
+  )).toBe(true);
+
+  // the origin goes round a quarter circle of radius 1, or straight across
+  expect(equalTolerance(screw.length, Math.PI / 2, SAMPLED_TOLERANCE)).toBe(true);
+  expect(equalTolerance(decoupled.length, Math.SQRT2, TOLERANCE)).toBe(true);
+  expect(equalTolerance(screw.sweptAngle, Math.PI / 2, TOLERANCE)).toBe(true);
+  expect(equalTolerance(decoupled.sweptAngle, Math.PI / 2, TOLERANCE)).toBe(true);
+
+  // slerp always takes the short way round
+  const longWay = comparePaths(identity(4), rotationScrew.equivalentScrew(0, true));
+  expect(equalTolerance(longWay.screw.sweptAngle, (3 * Math.PI) / 2, 1e-9)).toBe(true);
+  expect(equalTolerance(longWay.decoupled.sweptAngle, Math.PI / 2, 1e-9)).toBe(true);
+});
+
+test('compare a coil and a translation', () => {
+  const coilScrew = new Screw(new Axis([0.5, 0.5, 0], [0, 0, 1]), 0.5, 1.0);
+  const { screw } = comparePaths(identity(4), coilScrew);
+  expect(equalTolerance(
+    screw.length,
+    coilScrew.getDistanceTravelled([0, 0, 0]),
+    SAMPLED_TOLERANCE,
+  )).toBe(true);
+
+  // the paths of a translation are the same
+  const translationScrew = new Screw(new Axis([0, 0, 0], [1, 0, 0]), Infinity, 2);
+  const translation = comparePaths(identity(4), translationScrew, 10);
+  ['screw', 'decoupled'].forEach((path) => {
+    expect(equalTolerance(translation[path].length, 2, TOLERANCE)).toBe(true);
+    expect(translation[path].sweptAngle).toBe(0);
+  });
+});
+
+test('trace viz', () => {
+  const { decoupled } = comparePaths(identity(4), rotationScrew, 10);
+  const trace = getTraceThreeViz(decoupled.transforms, DECOUPLED_TRACE_COLOR);
+  expect(trace.geometry.type).toBe('TubeGeometry');
+  expect(trace.material.color.getHex()).toBe(DECOUPLED_TRACE_COLOR);
+
+  // the origin stays put for a rotation about it
+  const aboutOrigin = new Screw(new Axis([0, 0, 0], [0, 0, 1]), 0, 1);
+  const still = comparePaths(identity(4), aboutOrigin, 10).decoupled.transforms;
+  expect(getTraceThreeViz(still, DECOUPLED_TRACE_COLOR).geometry.type).toBe('SphereGeometry');
+});
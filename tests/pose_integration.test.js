@@ -0,0 +1,118 @@
+import {
+  identity, multiply, subtract, norm,
+} from 'mathjs';
+
+import {
+  integratePose, constantTwistErrors, orthonormalizeTransform, rotationDrift,
+  POSE_INTEGRATORS,
+} from '../src/pose_integration';
+import {
+  equalMatrixTolerance, rotationMatrixFromAxisAngle, transformFromRotationTranslation,
+  setTransformRotation,
+} from '../src/util';
+import Twist from '../src/twist';
+
+/**
+* A body twist that varies with time.
+* @param {number} time
+* @return {Twist}
+*/
+function bodyTwistField(time) {
+  return new Twist([1, 0, 0.5 * time], [Math.sin(time), Math.cos(time), 0.3]);
+}
+
+/**
+* @param {Array} poses - from integratePose
+* @return {mathjs.Matrix} last transform
+*/
+function lastTransform(poses) {
+  return poses[poses.length - 1].transform;
+}
+
+test('raise on invalid inputs', () => {
+  const twistField = () => new Twist([1, 0, 0], [0, 0, 1]);
+  expect(() => integratePose(twistField, identity(4), 1, { integrator: 'leapfrog' })).toThrow('Unknown pose integrator');
+  expect(() => integratePose(twistField, identity(4), 1, { frame: 'world' })).toThrow('Unknown frame');
+  expect(() => integratePose(twistField, identity(4), -1)).toThrow('cannot be negative');
+  expect(() => integratePose(twistField, identity(4), 1, { timeStep: 0 })).toThrow('must be positive');
+});
+
+test('steps divide the duration', () => {
+  const poses = integratePose(bodyTwistField, identity(4), 0.25, { timeStep: 0.1 });
+  expect(poses.map(({ time }) => time)).toEqual([0, 0.25 / 3, 0.5 / 3, 0.25]);
+  expect(poses[0].transform).toEqual(identity(4));
+  expect(integratePose(bodyTwistField, identity(4), 0).length).toBe(1);
+});
+
+test('orthonormalize', () => {
+  const transform = transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([1, 2, 3], 0.7),
+    [1, 2, 3],
+  );
+  const scaled = setTransformRotation(
+    transform,
+    multiply(1.01, rotationMatrixFromAxisAngle([1, 2, 3], 0.7)),
+  );
+  expect(rotationDrift(scaled) > 1e-2).toBe(true);
+  const orthonormalized = orthonormalizeTransform(scaled);
+  expect(rotationDrift(orthonormalized) < 1e-14).toBe(true);
+  // the closest rotation to a scaled rotation is the rotation
+  expect(equalMatrixTolerance(orthonormalized, transform, 1e-14)).toBe(true);
+});
+
+test('constant twist errors and drift', () => {
+  const twist = new Twist([0.5, -1, 0.2], [1, 2, -0.5]);
+  ['body', 'spatial'].forEach((frame) => {
+    const reports = constantTwistErrors(twist, 1, { frame, timeStep: 0.05 });
+    expect(reports.map(({ integrator }) => integrator)).toEqual(POSE_INTEGRATORS);
+    const [euler, rk4, rkmk4, crouchGrossman3] = reports;
+
+    expect(euler.error > 1e-1).toBe(true);
+    expect(euler.drift > 1e-2).toBe(true);
+    expect(rk4.error < 1e-5).toBe(true);
+    expect(rk4.drift < 1e-14).toBe(true);
+    // the stages of a constant twist are exact exponentials
+    [rkmk4, crouchGrossman3].forEach(({ error, drift }) => {
+      expect(error < 1e-12).toBe(true);
+      expect(drift < 1e-14).toBe(true);
+    });
+  });
+});
+
+test('order of convergence', () => {
+  const reference = lastTransform(
+    integratePose(bodyTwistField, identity(4), 1, { timeStep: 0.0125 }),
+  );
+  // error ratio from halving the time step, 2^order
+  const expectedRatios = {
+    euler: [1.5, 2.5], rk4: [12, 20], rkmk4: [12, 20], crouchGrossman3: [6, 10],
+  };
+  POSE_INTEGRATORS.forEach((integrator) => {
+    const [coarse, fine] = [0.1, 0.05].map((timeStep) => norm(subtract(
+      lastTransform(integratePose(bodyTwistField, identity(4), 1, { integrator, timeStep })),
+      reference,
+    ), 'fro'));
+    const ratio = coarse / fine;
+    expect(ratio > expectedRatios[integrator][0]).toBe(true);
+    expect(ratio < expectedRatios[integrator][1]).toBe(true);
+  });
+});
+
+test('body and spatial frames agree', () => {
+  const initial = transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([0, 0, 1], 0.3),
+    [1, 0, 0],
+  );
+  // the spatial twist is the body twist mapped through the adjoint of the pose
+  const spatialTwistField = (time, transform) => bodyTwistField(time).adjoint(transform);
+  ['rkmk4', 'crouchGrossman3'].forEach((integrator) => {
+    const body = integratePose(bodyTwistField, initial, 1, { integrator, timeStep: 0.02 });
+    const spatial = integratePose(
+      spatialTwistField,
+      initial,
+      1,
+      { integrator, frame: 'spatial', timeStep: 0.02 },
+    );
+    expect(equalMatrixTolerance(lastTransform(body), lastTransform(spatial), 1e-5)).toBe(true);
+  });
+});
@@ -0,0 +1,137 @@
+import {
+  identity, multiply, transpose, matrix,
+} from 'mathjs';
+
+import {
+  equalTolerance, equalMatrixTolerance, rotationMatrixFromTransform, translationFromTransform,
+} from '../src/util';
+import RigidBody, { STANDARD_GRAVITY, RIGID_BODY_PRESETS } from '../src/rigid_body';
+import SpatialInertia from '../src/spatial_inertia';
+import Twist from '../src/twist';
+import Wrench from '../src/wrench';
+
+const TOLERANCE = 1e-6;
+
+/**
+* @param {RigidBody} body
+* @return {bool} whether the rotation of the pose is orthonormal
+*/
+function isOrthonormal(body) {
+  const R = rotationMatrixFromTransform(body.transform);
+  return equalMatrixTolerance(multiply(transpose(R), R), identity(3), 1e-12);
+}
+
+test('raise on invalid inputs', () => {
+  const body = new RigidBody(SpatialInertia.fromPrincipalMoments(1, [1, 1, 1]));
+  expect(() => body.advance(-1, 0.1)).toThrow('cannot be negative');
+  expect(() => body.advance(1, 0)).toThrow('must be positive');
+  expect(() => RigidBody.fromPreset('tumble')).toThrow('Unknown rigid body preset');
+});
+
+test('free fall', () => {
+  // gravity acts at the center of mass, so an offset does not rotate the body
+  const inertia = SpatialInertia.fromPrincipalMoments(2, [0.3, 0.2, 0.1], [0.1, 0, 0.2]);
+  const body = new RigidBody(inertia, identity(4), undefined, { gravity: STANDARD_GRAVITY });
+  const energy = body.getPotentialEnergy();
+  body.advance(1, 0.1);
+  expect(equalTolerance(body.time, 1, 1e-12)).toBe(true);
+  expect(equalMatrixTolerance(
+    body.transform,
+    [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, -9.81 / 2], [0, 0, 0, 1]],
+    1e-9,
+  )).toBe(true);
+  const totalEnergy = body.getKineticEnergy() + body.getPotentialEnergy();
+  expect(equalTolerance(totalEnergy, energy, 1e-9)).toBe(true);
+});
+
+test('applied wrenches', () => {
+  const inertia = SpatialInertia.fromPrincipalMoments(2, [0.5, 0.5, 0.5]);
+  // a moment about the body z axis spins up the body about it
+  let body = new RigidBody(inertia, identity(4), undefined, {
+    bodyWrench: new Wrench([0, 0, 0], [0, 0, 1]),
+  });
+  body.advance(1, 0.1);
+  expect(equalMatrixTolerance(matrix(body.twist.coordinates), [0, 0, 0, 0, 0, 2], 1e-9)).toBe(true);
+
+  // a force fixed in space keeps pushing along x while the body spins
+  body = new RigidBody(inertia, identity(4), new Twist([0, 0, 0], [0, 0, 3]), {
+    spatialWrench: new Wrench([4, 0, 0], [0, 0, 0]),
+  });
+  body.advance(1, 0.01);
+  const translation = translationFromTransform(body.transform);
+  expect(equalMatrixTolerance(matrix(translation), [1, 0, 0], 1e-6)).toBe(true);
+  expect(equalTolerance(body.twist.angular[2], 3, 1e-6)).toBe(true);
+});
+
+test('torque free motion conserves energy and momentum', () => {
+  const inertia = SpatialInertia.fromPrincipalMoments(3, [0.4, 0.3, 0.2], [0.1, 0.2, -0.1]);
+  const body = new RigidBody(inertia, identity(4), new Twist([0.2, -0.1, 0.3], [1, 2, -1.5]));
+  const energy = body.getKineticEnergy();
+  const momentum = body.getSpatialMomentum().coordinates;
+  body.advance(2, 0.01);
+  expect(isOrthonormal(body)).toBe(true);
+  expect(equalTolerance(body.getKineticEnergy(), energy, TOLERANCE)).toBe(true);
+  expect(equalMatrixTolerance(
+    matrix(body.getSpatialMomentum().coordinates),
+    momentum,
+    TOLERANCE,
+  )).toBe(true);
+});
+
+test('torque free precession of a symmetric body', () => {
+  // For moments [1, 1, 2], the body angular velocity precesses about the body
+  // z axis at the rate (2 - 1) / 1 * w_z.
+  const inertia = SpatialInertia.fromPrincipalMoments(1, [1, 1, 2]);
+  const body = new RigidBody(inertia, identity(4), new Twist([0, 0, 0], [0.3, 0, 2]));
+  body.advance(1, 0.01);
+  expect(equalMatrixTolerance(
+    matrix(body.twist.angular),
+    [0.3 * Math.cos(2), 0.3 * Math.sin(2), 2],
+    TOLERANCE,
+  )).toBe(true);
+});
+
+test('intermediate axis instability', () => {
+  // moments [13, 10, 5], y is the intermediate axis
+  const inertia = SpatialInertia.cuboid(12, [1, 2, 3]);
+
+  // a spin about the intermediate axis flips over
+  let body = new RigidBody(inertia, identity(4), new Twist([0, 0, 0], [0.01, 1, 0.01]));
+  let minimum = 1;
+  for (let i = 0; i < 30; i += 1) {
+    body.advance(0.5, 0.1);
+    minimum = Math.min(minimum, body.twist.angular[1]);
+  }
+  expect(minimum < -0.9).toBe(true);
+
+  // a spin about the major or minor axis stays close
+  [[1, 0.01, 0.01], [0.01, 0.01, 1]].forEach((angular) => {
+    body = new RigidBody(inertia, identity(4), new Twist([0, 0, 0], angular));
+    for (let i = 0; i < 30; i += 1) {
+      body.advance(0.5, 0.1);
+      expect(Math.max(...body.twist.angular) > 0.99).toBe(true);
+    }
+  });
+});
+
+test('presets', () => {
+  RIGID_BODY_PRESETS.forEach((name) => {
+    const body = RigidBody.fromPreset(name);
+    expect(body.time).toBe(0);
+    expect(body.getKineticEnergy() > 0).toBe(true);
+  });
+
+  // the spin about the symmetry axis is constant while the axis wobbles
+  const precession = RigidBody.fromPreset('precession');
+  precession.advance(1, 0.01);
+  expect(equalTolerance(precession.twist.angular[2], 2, TOLERANCE)).toBe(true);
+
+  // the spin about the intermediate axis flips over
+  const intermediateAxis = RigidBody.fromPreset('intermediateAxis');
+  let minimum = 2;
+  for (let i = 0; i < 20; i += 1) {
+    intermediateAxis.advance(0.5, 0.05);
+    minimum = Math.min(minimum, intermediateAxis.twist.angular[1]);
+  }
+  expect(minimum < -1.8).toBe(true);
+});
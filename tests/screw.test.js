@@ -1,10 +1,11 @@
 import {
-  equal, subset, index, identity, cross, det,
+  equal, subset, index, identity, cross, det, multiply,
 } from 'mathjs';
 
 import {
   setTransformTranslation, setTransformRotation, rotationMatrixFromAxisAngle,
-  rotationMatrixFromTransform, normalizeVector,
+  rotationMatrixFromTransform, normalizeVector, equalMatrixTolerance, equalTolerance,
+  inverseTransform,
 } from '../src/util';
 
 import Screw from '../src/screw';
@@ -99,6 +100,187 @@ test('arbitrary transform to screw pure rotation', () => {
   });
 });
 
+test('half turn transform to screw', () => {
+  let g = identity(4);
+  g = setTransformTranslation(g, [1, 2, 0.5]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([1, 0, 0], Math.PI));
+
+  const screw = Screw.fromTransform(g);
+  expect(screw.axis.point.every((element) => Number.isFinite(element))).toBe(true);
+  expect(Number.isFinite(screw.pitch)).toBe(true);
+  expect(equalTolerance(screw.magnitude, Math.PI, 1e-12)).toBe(true);
+  expect(equalMatrixTolerance(screw.getTransform(), g, 1e-12)).toBe(true);
+});
+
+test('twists at time along a time scaled screw', () => {
+  const screw = new Screw(new Axis([0.5, 0.5, 0], [0, 0, 1]), 0.5, 2.0);
+  const timeScaling = screw.getTimeScaling('quintic', { duration: 2 });
+
+  const start = screw.getTwistsAtTime(timeScaling, 0);
+  expect(equalMatrixTolerance(start.position.getTransform(), identity(4), 1e-12)).toBe(true);
+  expect(start.velocity.norm()).toBe(0);
+
+  expect(equalMatrixTolerance(
+    screw.getTransformAtTime(timeScaling, 2),
+    screw.getTransform(),
+    1e-12,
+  )).toBe(true);
+
+  // velocity and acceleration are along the unit twist
+  const { velocity, acceleration } = screw.getTwistsAtTime(timeScaling, 0.5);
+  const { velocity: speed, acceleration: rate } = timeScaling.evaluate(0.5);
+  velocity.coordinates.forEach((value, i) => {
+    expect(equalTolerance(value, screw.unitTwist.coordinates[i] * speed, 1e-12)).toBe(true);
+  });
+  acceleration.coordinates.forEach((value, i) => {
+    expect(equalTolerance(value, screw.unitTwist.coordinates[i] * rate, 1e-12)).toBe(true);
+  });
+});
+
+test('equivalent screws have the same transform', () => {
+  const screw = new Screw(new Axis([0.5, -0.2, 0.1], normalizeVector([1, 2, -1])), 0.3, 2.0);
+  const equivalents = screw.equivalentScrews(2);
+  expect(equivalents.length).toBe(6);
+  expect(equivalents[0].screw).toBe(screw);
+
+  let previousMagnitude = 0;
+  equivalents.forEach(({ winding, longWay, screw: equivalent }) => {
+    const sign = longWay ? -1 : 1;
+    expect(equalMatrixTolerance(equivalent.getTransform(), screw.getTransform(), 1e-9)).toBe(true);
+    // same translation along the same line
+    expect(equalTolerance(
+      sign * equivalent.pitch * equivalent.magnitude,
+      screw.pitch * screw.magnitude,
+      1e-12,
+    )).toBe(true);
+    expect(equivalent.axis.equalTo(
+      new Axis(screw.axis.point, screw.axis.direction.map((element) => sign * element)),
+    )).toBe(true);
+    expect(equalTolerance(
+      equivalent.magnitude,
+      longWay ? 2 * Math.PI * (winding + 1) - 2.0 : 2.0 + 2 * Math.PI * winding,
+      1e-12,
+    )).toBe(true);
+    expect(equivalent.magnitude > previousMagnitude).toBe(true);
+    previousMagnitude = equivalent.magnitude;
+  });
+});
+
+test('equivalent screws of a translation or a zero rotation', () => {
+  const translation = new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 1.5);
+  expect(translation.equivalentScrew(2, true)).toBe(translation);
+  expect(translation.equivalentScrews(3).length).toBe(1);
+
+  // a full turn the other way round
+  const zero = new Screw(new Axis([1, 0, 0], [0, 0, 1]), 0, 0);
+  const fullTurn = zero.equivalentScrew(0, true);
+  expect(equalTolerance(fullTurn.magnitude, 2 * Math.PI, 1e-12)).toBe(true);
+  expect(equalMatrixTolerance(fullTurn.getTransform(), identity(4), 1e-12)).toBe(true);
+
+  expect(() => zero.equivalentScrew(-1)).toThrow('non-negative integer');
+  expect(() => zero.equivalentScrew(0.5)).toThrow('non-negative integer');
+});
+
+test('screw plucker coordinates round trip', () => {
+  const screw = new Screw(new Axis([0.5, -0.2, 0.1], [1, 2, -1]), 0.3, 2.0);
+  const { direction, moment } = screw.getPluckerCoordinates();
+  // the moment of the axis plus pitch times direction
+  const axisMoment = screw.axis.getPluckerCoordinates().moment;
+  moment.forEach((element, i) => {
+    expect(equalTolerance(element, axisMoment[i] + 0.3 * direction[i], 1e-12)).toBe(true);
+  });
+  const fromPlucker = Screw.fromPluckerCoordinates(
+    direction.map((element) => 3 * element),
+    moment.map((element) => 3 * element),
+    2.0,
+  );
+  expect(fromPlucker.valuesEqualTo(screw)).toBe(true);
+
+  const translation = new Screw(new Axis([0, 0, 0], [0, 0, 1]), Infinity, 1.5);
+  const coordinates = translation.getPluckerCoordinates();
+  expect(coordinates.direction).toEqual([0, 0, 0]);
+  expect(coordinates.moment).toEqual([0, 0, 1]);
+  expect(Screw.fromPluckerCoordinates([0, 0, 0], [0, 0, 4], 1.5).valuesEqualTo(translation))
+    .toBe(true);
+
+  expect(() => Screw.fromPluckerCoordinates([0, 0, 0], [0, 0, 0], 1)).toThrow('cannot both be zero');
+});
+
+test('transformed screw is the conjugated motion', () => {
+  let g = identity(4);
+  g = setTransformTranslation(g, [0.2, 1.5, -0.7]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([1, 1, 0], 0.8));
+  const gInverse = inverseTransform(g);
+
+  [
+    new Screw(new Axis([0.5, -0.2, 0.1], [1, 2, -1]), 0.3, 2.0),
+    new Screw(new Axis([0, 1, 0], [0, 0, 1]), 0, Math.PI),
+    new Screw(new Axis([0, 0, 0], [1, 0, 1]), Infinity, 1.5),
+  ].forEach((screw) => {
+    const transformed = screw.transformedBy(g);
+    expect(transformed.pitch).toBe(screw.pitch);
+    expect(transformed.magnitude).toBe(screw.magnitude);
+    expect(equalMatrixTolerance(
+      transformed.getTransform(),
+      multiply(g, screw.getTransform(), gInverse),
+      1e-12,
+    )).toBe(true);
+  });
+});
+
+test('inverse screw is the reverse motion', () => {
+  [
+    new Screw(new Axis([0.5, -0.2, 0.1], [1, 2, -1]), 0.3, 2.0),
+    // a half turn, where the log of the transform is singular
+    new Screw(new Axis([1, 2, 0], [0, 0, 1]), -0.1, Math.PI),
+    new Screw(new Axis([0, 0, 0], [1, 0, 1]), Infinity, 1.5),
+  ].forEach((screw) => {
+    const inverse = screw.inverse();
+    expect(inverse.axis.point).toBe(screw.axis.point);
+    expect(equalMatrixTolerance(
+      inverse.getTransform(),
+      inverseTransform(screw.getTransform()),
+      1e-12,
+    )).toBe(true);
+    expect(inverse.inverse().valuesEqualTo(screw)).toBe(true);
+  });
+});
+
+test('composed screw', () => {
+  const first = new Screw(new Axis([0.5, -0.2, 0.1], [1, 2, -1]), 0.3, 2.0);
+  const second = new Screw(new Axis([0, 1, 0], [0, 0, 1]), -0.2, 1.2);
+  const { screw, axes, commonNormals } = Screw.compose(first, second);
+  // first then second, in the fixed frame
+  expect(equalMatrixTolerance(
+    screw.getTransform(),
+    multiply(second.getTransform(), first.getTransform()),
+    1e-12,
+  )).toBe(true);
+  expect(axes[0]).toBe(first.axis);
+  expect(axes[2]).toBe(screw.axis);
+
+  // the sides of the screw triangle
+  expect(commonNormals.length).toBe(3);
+  commonNormals.forEach(({ foot, otherFoot }, i) => {
+    expect(axes[i].containsPoint(foot)).toBe(true);
+    expect(axes[(i + 1) % 3].containsPoint(otherFoot)).toBe(true);
+  });
+});
+
+test('composed rotations about intersecting axes', () => {
+  // the composed axis passes through the same point
+  const first = new Screw(new Axis([1, 1, 0], [1, 0, 0]), 0, 0.7);
+  const second = new Screw(new Axis([1, 1, 0], [0, 1, 1]), 0, 1.1);
+  const { screw, commonNormals } = Screw.compose(first, second);
+  expect(screw.isPureRotation).toBe(true);
+  expect(screw.axis.containsPoint([1, 1, 0])).toBe(true);
+  commonNormals.forEach(({ relation }) => expect(relation).toBe('intersecting'));
+
+  // and a screw composed with its inverse is the zero motion
+  const zero = Screw.compose(first, first.inverse()).screw;
+  expect(equalTolerance(zero.magnitude, 0, 1e-12)).toBe(true);
+});
+
 test('screw viz transform identity', () => {
   // A screw which is pure rotation, along z, at the origin.
   const screw = new Screw(new Axis([0, 0, 0], [0, 0, 1]), 0, 0.1);
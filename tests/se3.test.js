@@ -0,0 +1,133 @@
+import { identity, multiply, matrix } from 'mathjs';
+
+import {
+  identityTransformArray, transformArrayFromMatrix, nestedArrayFromTransformArray,
+  multiplyTransformArrays, invertTransformArray,
+  transformArrayFromTwist, twistFromTransformArray,
+} from '../src/se3';
+import {
+  setTransformTranslation, setTransformRotation, rotationMatrixFromAxisAngle,
+  rotationMatrixFromRotationVector, inverseTransform, equalMatrixTolerance,
+  equalTolerance,
+} from '../src/util';
+import Twist from '../src/twist';
+import Screw from '../src/screw';
+
+const TOLERANCE = 1e-12;
+
+/**
+* @param {Array} translation
+* @param {Array} rotationVector
+* @return {mathjs.Matrix} transform
+*/
+function makeTransform(translation, rotationVector) {
+  let g = identity(4);
+  g = setTransformTranslation(g, translation);
+  g = setTransformRotation(g, rotationMatrixFromRotationVector(rotationVector));
+  return g;
+}
+
+const TRANSFORMS = [
+  identity(4),
+  makeTransform([1.0, -2.12, 4.73], [0, 0, 0]),
+  makeTransform([0, 0, 0], [0, 0.1, 0]),
+  makeTransform([0.231, -4.312, 0.063], [-0.9, -0.47, 0.26]),
+  makeTransform([1.5, 0.2, -0.7], [1e-9, -3e-9, 1e-8]),
+  makeTransform([0.4, -1.3, 2.2], [0, 0, Math.PI]),
+  makeTransform([0.4, -1.3, 2.2], [-Math.PI / Math.sqrt(2), Math.PI / Math.sqrt(2), 0]),
+  makeTransform([-3, 0.5, 1], [0.5, 2.2, -1.5]),
+];
+
+/**
+* @param {Float64Array} array
+* @param {mathjs.Matrix} transform
+* @return {bool}
+*/
+function arrayCloseToMatrix(array, transform) {
+  return equalMatrixTolerance(matrix(nestedArrayFromTransformArray(array)), transform, TOLERANCE);
+}
+
+test('identity and matrix conversions', () => {
+  expect(arrayCloseToMatrix(identityTransformArray(), identity(4))).toBe(true);
+
+  const g = TRANSFORMS[3];
+  const array = transformArrayFromMatrix(g);
+  expect(array).toBeInstanceOf(Float64Array);
+  expect(nestedArrayFromTransformArray(array)).toEqual(g.toArray());
+  expect(transformArrayFromMatrix(g.toArray())).toEqual(array);
+});
+
+test('exp matches twist get transform', () => {
+  TRANSFORMS.forEach((g) => {
+    const twist = Twist.fromTransform(g);
+    expect(arrayCloseToMatrix(transformArrayFromTwist(twist.coordinates), twist.getTransform()))
+      .toBe(true);
+    expect(arrayCloseToMatrix(twist.getTransformArray(), twist.getTransform())).toBe(true);
+  });
+});
+
+test('log and exp round trip', () => {
+  TRANSFORMS.forEach((g) => {
+    const coordinates = twistFromTransformArray(transformArrayFromMatrix(g));
+    expect(arrayCloseToMatrix(transformArrayFromTwist(coordinates), g)).toBe(true);
+  });
+});
+
+test('log matches twist from transform', () => {
+  TRANSFORMS.forEach((g) => {
+    const expected = Twist.fromTransform(g).coordinates;
+    const twist = Twist.fromTransformArray(transformArrayFromMatrix(g));
+    twist.coordinates.forEach((value, i) => {
+      expect(equalTolerance(value, expected[i], 1e-10)).toBe(true);
+    });
+  });
+});
+
+test('multiply and invert match mathjs', () => {
+  const a = transformArrayFromMatrix(TRANSFORMS[3]);
+  const b = transformArrayFromMatrix(TRANSFORMS[7]);
+  expect(arrayCloseToMatrix(
+    multiplyTransformArrays(a, b),
+    multiply(TRANSFORMS[3], TRANSFORMS[7]),
+  )).toBe(true);
+  expect(arrayCloseToMatrix(invertTransformArray(a), inverseTransform(TRANSFORMS[3]))).toBe(true);
+  expect(arrayCloseToMatrix(multiplyTransformArrays(a, invertTransformArray(a)), identity(4)))
+    .toBe(true);
+});
+
+test('output array may be an input', () => {
+  const g = TRANSFORMS[6];
+  const expected = multiply(g, g);
+  const array = transformArrayFromMatrix(g);
+  expect(multiplyTransformArrays(array, array, array)).toBe(array);
+  expect(arrayCloseToMatrix(array, expected)).toBe(true);
+
+  const inverse = transformArrayFromMatrix(g);
+  invertTransformArray(inverse, inverse);
+  expect(arrayCloseToMatrix(inverse, inverseTransform(g))).toBe(true);
+});
+
+test('screw from transform array matches screw from transform', () => {
+  TRANSFORMS.forEach((g) => {
+    const screw = Screw.fromTransformArray(transformArrayFromMatrix(g));
+    expect(arrayCloseToMatrix(screw.getTransformArray(), g)).toBe(true);
+    expect(equalMatrixTolerance(screw.getTransform(), g, TOLERANCE)).toBe(true);
+  });
+
+  const g = makeTransform([0.3, 0.1, -2], [0.2, 0.3, -1.1]);
+  expect(Screw.fromTransformArray(transformArrayFromMatrix(g))
+    .valuesEqualTo(Screw.fromTransform(g))).toBe(true);
+});
+
+test('rotation matrix agrees with axis angle', () => {
+  const axis = [0.3, -1.2, 0.4];
+  const angle = 2.5;
+  const twist = new Twist([0, 0, 0], multiply(axis, angle / Math.sqrt(1.69)));
+  const R = rotationMatrixFromAxisAngle(axis, angle);
+  const array = twist.getTransformArray();
+  [0, 1, 2].forEach((i) => {
+    [0, 1, 2].forEach((j) => {
+      expect(equalTolerance(array[4 * i + j], R.get([i, j]), TOLERANCE)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { transpose, deepEqual, matrix } from 'mathjs';
+
+import { equalTolerance, equalMatrixTolerance } from '../src/util';
+import { setTolerance, resetTolerances } from '../src/tolerance';
+import SpatialInertia from '../src/spatial_inertia';
+import Twist from '../src/twist';
+
+const TOLERANCE = 1e-12;
+
+afterEach(() => {
+  resetTolerances();
+});
+
+test('raise on invalid inputs', () => {
+  expect(() => SpatialInertia.fromPrincipalMoments(0, [1, 1, 1])).toThrow('must be positive');
+  expect(() => new SpatialInertia(1, [[1, 0.5, 0], [0, 1, 0], [0, 0, 1]])).toThrow('must be symmetric');
+});
+
+test('symmetry uses the matrix tolerance', () => {
+  const inertia = [[1, 1e-11, 0], [0, 1, 0], [0, 0, 1]];
+  expect(new SpatialInertia(1, inertia).rotationalInertia).toBe(inertia);
+  setTolerance('matrix', { absolute: 1e-12 });
+  expect(() => new SpatialInertia(1, inertia)).toThrow('must be symmetric');
+});
+
+test('cuboid', () => {
+  const inertia = SpatialInertia.cuboid(12, [1, 2, 3]);
+  expect(inertia.rotationalInertia).toEqual([[13, 0, 0], [0, 10, 0], [0, 0, 5]]);
+});
+
+test('matrix, momentum and kinetic energy', () => {
+  const centerOfMass = [0.1, -0.2, 0.3];
+  const inertia = SpatialInertia.fromPrincipalMoments(2, [0.5, 0.4, 0.3], centerOfMass);
+  const inertiaMatrix = inertia.toMatrix();
+  expect(deepEqual(inertiaMatrix, transpose(inertiaMatrix))).toBe(true);
+
+  // pure rotation about the origin: the center of mass moves with w x c
+  const twist = new Twist([0, 0, 0], [0, 0, 2]);
+  const momentum = inertia.momentum(twist);
+  expect(equalMatrixTolerance(matrix(momentum.force), [0.8, 0.4, 0], TOLERANCE)).toBe(true);
+  // parallel axis theorem about z, the distance squared to the z axis is 0.05
+  expect(equalTolerance(momentum.moment[2], 2 * (0.3 + 2 * 0.05), TOLERANCE)).toBe(true);
+  expect(equalTolerance(inertia.kineticEnergy(twist), 0.5 * 4 * (0.3 + 0.1), TOLERANCE)).toBe(true);
+
+  // translation
+  expect(equalTolerance(
+    inertia.kineticEnergy(new Twist([1, 2, 0], [0, 0, 0])),
+    0.5 * 2 * 5,
+    TOLERANCE,
+  )).toBe(true);
+});
@@ -0,0 +1,115 @@
+import { equalTolerance } from '../src/util';
+import TimeScaling, { TIME_SCALING_PROFILES } from '../src/time_scaling';
+
+const TOLERANCE = 1e-9;
+
+test('raise on invalid inputs', () => {
+  expect(() => new TimeScaling('linear', 1, { duration: 1 })).toThrow('Unknown time scaling profile');
+  expect(() => new TimeScaling('cubic', -1, { duration: 1 })).toThrow('cannot be negative');
+  expect(() => new TimeScaling('cubic', 1, { duration: -1 })).toThrow('cannot be negative');
+  expect(() => new TimeScaling('cubic', 1)).toThrow('needs a duration');
+  expect(() => new TimeScaling('cubic', 1, { maxVelocity: 0 })).toThrow('must be positive');
+  expect(() => new TimeScaling('constant', 1, { maxAcceleration: 1 })).toThrow('needs a max velocity');
+  expect(() => new TimeScaling('trapezoidal', 1, { maxVelocity: 1 })).toThrow('needs both');
+});
+
+test('every profile is rest to rest over the duration', () => {
+  const distance = 2.5;
+  const duration = 3;
+  TIME_SCALING_PROFILES.forEach((profile) => {
+    const scaling = new TimeScaling(profile, distance, { duration });
+    expect(scaling.duration).toBe(duration);
+    expect(scaling.evaluate(-1)).toEqual({ position: 0, velocity: 0, acceleration: 0 });
+    expect(scaling.evaluate(0).position).toBe(0);
+    expect(scaling.evaluate(duration)).toEqual({
+      position: distance, velocity: 0, acceleration: 0,
+    });
+    expect(scaling.evaluate(duration + 1).position).toBe(distance);
+
+    // position is non-decreasing
+    let previous = 0;
+    for (let i = 1; i <= 30; i += 1) {
+      const { position } = scaling.evaluate((i * duration) / 30);
+      expect(position >= previous - TOLERANCE).toBe(true);
+      previous = position;
+    }
+  });
+});
+
+test('velocity and acceleration are derivatives of position', () => {
+  const step = 1e-6;
+  TIME_SCALING_PROFILES.forEach((profile) => {
+    const scaling = new TimeScaling(profile, 1.7, { duration: 2 });
+    [0.3, 0.9, 1.1, 1.85].forEach((time) => {
+      const before = scaling.evaluate(time - step);
+      const at = scaling.evaluate(time);
+      const after = scaling.evaluate(time + step);
+      const velocity = (after.position - before.position) / (2 * step);
+      const acceleration = (after.velocity - before.velocity) / (2 * step);
+      expect(equalTolerance(at.velocity, velocity, 1e-6)).toBe(true);
+      expect(equalTolerance(at.acceleration, acceleration, 1e-5)).toBe(true);
+    });
+  });
+});
+
+test('polynomial profiles', () => {
+  const cubic = new TimeScaling('cubic', 1, { duration: 1 });
+  expect(equalTolerance(cubic.evaluate(0.5).velocity, 1.5, TOLERANCE)).toBe(true);
+  expect(equalTolerance(cubic.evaluate(0.01).acceleration, 5.88, TOLERANCE)).toBe(true);
+
+  const quintic = new TimeScaling('quintic', 1, { duration: 1 });
+  const minimumJerk = new TimeScaling('minimumJerk', 1, { duration: 1 });
+  expect(equalTolerance(quintic.evaluate(0.5).velocity, 1.875, TOLERANCE)).toBe(true);
+  // zero acceleration at rest, unlike cubic
+  expect(equalTolerance(quintic.evaluate(1e-9).acceleration, 0, 1e-6)).toBe(true);
+  expect(minimumJerk.evaluate(0.3)).toEqual(quintic.evaluate(0.3));
+});
+
+test('polynomial duration from limits', () => {
+  const distance = 2;
+  // velocity limited
+  let scaling = new TimeScaling('cubic', distance, { maxVelocity: 1, maxAcceleration: 100 });
+  expect(equalTolerance(scaling.duration, 3, TOLERANCE)).toBe(true);
+  expect(equalTolerance(scaling.evaluate(1.5).velocity, 1, TOLERANCE)).toBe(true);
+
+  // acceleration limited
+  scaling = new TimeScaling('quintic', distance, { maxVelocity: 100, maxAcceleration: 1 });
+  const peakTime = (0.5 - Math.sqrt(3) / 6) * scaling.duration;
+  expect(equalTolerance(scaling.evaluate(peakTime).acceleration, 1, 1e-9)).toBe(true);
+});
+
+test('trapezoidal from limits', () => {
+  // reaches the max velocity
+  let scaling = new TimeScaling('trapezoidal', 4, { maxVelocity: 1, maxAcceleration: 2 });
+  expect(equalTolerance(scaling.duration, 4.5, TOLERANCE)).toBe(true);
+  expect(scaling.evaluate(2).velocity).toBe(1);
+  expect(scaling.evaluate(0.25).acceleration).toBe(2);
+  expect(scaling.evaluate(4.4).acceleration).toBe(-2);
+
+  // triangular
+  scaling = new TimeScaling('trapezoidal', 1, { maxVelocity: 10, maxAcceleration: 4 });
+  expect(equalTolerance(scaling.duration, 1, TOLERANCE)).toBe(true);
+  expect(equalTolerance(scaling.evaluate(0.5).position, 0.5, TOLERANCE)).toBe(true);
+  expect(equalTolerance(scaling.evaluate(0.5).velocity, 2, TOLERANCE)).toBe(true);
+});
+
+test('trapezoidal from duration accelerates for a third', () => {
+  const scaling = new TimeScaling('trapezoidal', 3, { duration: 3 });
+  expect(equalTolerance(scaling.evaluate(1.5).velocity, 1.5, TOLERANCE)).toBe(true);
+  expect(scaling.evaluate(0.5).acceleration).toBe(1.5);
+  expect(scaling.evaluate(1.5).acceleration).toBe(0);
+});
+
+test('zero distance or duration', () => {
+  TIME_SCALING_PROFILES.forEach((profile) => {
+    const zeroDistance = new TimeScaling(profile, 0, { maxVelocity: 1, maxAcceleration: 1 });
+    expect(zeroDistance.duration).toBe(0);
+    expect(zeroDistance.evaluate(0).position).toBe(0);
+
+    const zeroDuration = new TimeScaling(profile, 1, { duration: 0 });
+    expect(zeroDuration.evaluate(0).position).toBe(1);
+    expect(zeroDuration.evaluate(1).position).toBe(1);
+    // at rest at 0 before the start, not NaN
+    expect(zeroDuration.evaluate(-1)).toEqual({ position: 0, velocity: 0, acceleration: 0 });
+  });
+});
@@ -0,0 +1,95 @@
+import { identity } from 'mathjs';
+
+import {
+  DEFAULT_TOLERANCES, getTolerance, setTolerance, resetTolerances,
+  isZero, isClose, matricesClose,
+} from '../src/tolerance';
+import {
+  setTransformTranslation, setTransformRotation, rotationMatrixFromRotationVector,
+  transformHasIdentityRotation, rotationMatrixFromEulerAngles, eulerAnglesFromRotationMatrix,
+} from '../src/util';
+import Axis from '../src/axis';
+import Screw from '../src/screw';
+import Twist from '../src/twist';
+
+afterEach(() => {
+  resetTolerances();
+});
+
+test('defaults are used at start', () => {
+  Object.keys(DEFAULT_TOLERANCES).forEach((kind) => {
+    expect(getTolerance(kind)).toEqual(DEFAULT_TOLERANCES[kind]);
+  });
+});
+
+test('raise on unknown kind', () => {
+  expect(() => getTolerance('mass')).toThrow('Unknown tolerance kind');
+  expect(() => isZero(0, 'mass')).toThrow('Unknown tolerance kind');
+});
+
+test('raise on negative tolerance', () => {
+  expect(() => setTolerance('angle', { absolute: -1 })).toThrow('must be non-negative');
+});
+
+test('set tolerance leaves missing fields unchanged', () => {
+  setTolerance('length', { absolute: 1e-3 });
+  expect(getTolerance('length')).toEqual({
+    absolute: 1e-3, relative: DEFAULT_TOLERANCES.length.relative,
+  });
+  // other kinds unaffected
+  expect(getTolerance('angle')).toEqual(DEFAULT_TOLERANCES.angle);
+
+  resetTolerances();
+  expect(getTolerance('length')).toEqual(DEFAULT_TOLERANCES.length);
+});
+
+test('is close uses absolute and relative tolerance', () => {
+  setTolerance('length', { absolute: 1e-6, relative: 1e-3 });
+  expect(isClose(0, 5e-7)).toBe(true);
+  expect(isClose(0, 5e-6)).toBe(false);
+  // relative dominates for large values
+  expect(isClose(1000, 1000.5)).toBe(true);
+  expect(isClose(1000, 1002)).toBe(false);
+  expect(isClose(Infinity, Infinity)).toBe(true);
+  expect(isClose(Infinity, 1e300)).toBe(false);
+});
+
+test('matrices close element-wise', () => {
+  const perturbed = identity(3).map((value) => value + 1e-12);
+  expect(matricesClose(identity(3), perturbed)).toBe(true);
+
+  setTolerance('matrix', { absolute: 0, relative: 0 });
+  expect(matricesClose(identity(3), perturbed)).toBe(false);
+  expect(() => matricesClose(identity(3), identity(4))).toThrow('Sizes do not match');
+});
+
+test('rotation near identity is identity rotation', () => {
+  let g = identity(4);
+  g = setTransformTranslation(g, [1, 2, 3]);
+  g = setTransformRotation(g, rotationMatrixFromRotationVector([1e-12, 0, -1e-12]));
+  expect(transformHasIdentityRotation(g)).toBe(true);
+
+  const twist = Twist.fromTransform(g);
+  expect(twist.isPureTranslation).toBe(true);
+  expect(Screw.fromTwist(twist).isPureTranslation).toBe(true);
+});
+
+test('axis and screw comparisons honor the tolerance', () => {
+  const axis = new Axis([0, 0, 0], [0, 0, 1]);
+  const nearby = new Axis([1e-5, 0, 0], [0, 1e-5, 1]);
+  expect(axis.equalTo(nearby)).toBe(false);
+
+  setTolerance('length', { absolute: 1e-4 });
+  setTolerance('angle', { absolute: 1e-4 });
+  expect(axis.equalTo(nearby)).toBe(true);
+  expect(new Screw(axis, 1e-5, 1).valuesEqualTo(new Screw(nearby, 0, 1 + 1e-5))).toBe(true);
+  expect(new Screw(axis, 1e-5, 1).isPureRotation).toBe(true);
+});
+
+test('gimbal lock honors the tolerance', () => {
+  // middle angle 1e-4 from the singular value of a Tait-Bryan sequence
+  const R = rotationMatrixFromEulerAngles([0.4, Math.PI / 2 - 1e-4, -0.3], 'ZYX');
+  expect(eulerAnglesFromRotationMatrix(R, 'ZYX').gimbalLock).toBe(false);
+  setTolerance('gimbalLock', { absolute: 1e-3 });
+  expect(eulerAnglesFromRotationMatrix(R, 'ZYX').gimbalLock).toBe(true);
+});
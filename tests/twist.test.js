@@ -1,12 +1,14 @@
 import {
-  equal, subset, index, identity,
+  equal, subset, index, identity, multiply, deepEqual, size, matrix,
+  subtract,
 } from 'mathjs';
 
 import {
   setTransformTranslation, setTransformRotation, rotationMatrixFromAxisAngle,
+  inverseTransform, equalMatrixTolerance, equalTolerance,
 } from '../src/util';
 
-import Twist from '../src/twist';
+import Twist, { BCH_MAX_ORDER } from '../src/twist';
 
 test('zero twist norm', () => {
   const twist = new Twist([0, 0, 0], [0, 0, 0]);
@@ -55,3 +57,204 @@ test('arbitrary transform to twist pure rotation', () => {
     expect(equal(value, subset(g, index(...indx)))).toBe(true);
   });
 });
+
+test('half turn transform to twist and back', () => {
+  [[0, 0, 1], [1, 1, 0], [-0.4, 2.1, 0.3]].forEach((axis) => {
+    let g = identity(4);
+    g = setTransformTranslation(g, [0.4, -1.3, 2.2]);
+    g = setTransformRotation(g, rotationMatrixFromAxisAngle(axis, Math.PI));
+
+    const twist = Twist.fromTransform(g);
+    expect(twist.coordinates.every((element) => Number.isFinite(element))).toBe(true);
+    expect(equalTolerance(twist.norm(), Math.PI, 1e-12)).toBe(true);
+    expect(equalMatrixTolerance(twist.getTransform(), g, 1e-12)).toBe(true);
+  });
+});
+
+test('tiny rotation transform to twist and back', () => {
+  [1e-4, 1e-9, 1e-15].forEach((angle) => {
+    let g = identity(4);
+    g = setTransformTranslation(g, [1.5, 0.2, -0.7]);
+    g = setTransformRotation(g, rotationMatrixFromAxisAngle([0.1, -0.3, 1], angle));
+
+    const twist = Twist.fromTransform(g);
+    expect(equalTolerance(twist.norm() / angle, 1, 1e-8)).toBe(true);
+    expect(equalMatrixTolerance(twist.getTransform(), g, 1e-14)).toBe(true);
+  });
+});
+
+test('twist exp continuous across zero angle', () => {
+  const linear = [0.7, -0.2, 1.1];
+  const exact = new Twist(linear, [0, 0, 0]).getTransform();
+  const tiny = new Twist(linear, [1e-13, 0, -1e-13]).getTransform();
+  expect(equalMatrixTolerance(tiny, exact, 1e-12)).toBe(true);
+});
+
+test('adjoint of identity', () => {
+  const twist = new Twist([0.3, -1.2, 0.5], [0.1, 0.7, -0.4]);
+  const mapped = twist.adjoint(identity(4));
+  twist.coordinates.forEach((value, i) => {
+    expect(equal(value, mapped.coordinates[i])).toBe(true);
+  });
+});
+
+test('adjoint matches conjugated twist hat', () => {
+  // MLS Eq (2.57): (Ad_g xi)^ = g xi^ g^-1
+  let g = identity(4);
+  g = setTransformTranslation(g, [0.231, -4.312, 0.063]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([2.012, 1.044, -0.569], -0.513));
+  const twist = new Twist([0.3, -1.2, 0.5], [0.1, 0.7, -0.4]);
+
+  const expected = multiply(multiply(g, twist.hat()), inverseTransform(g));
+  const mapped = twist.adjoint(g).hat();
+  expect(equalMatrixTolerance(mapped, expected, 1e-12)).toBe(true);
+});
+
+test('inverse adjoint undoes adjoint', () => {
+  let g = identity(4);
+  g = setTransformTranslation(g, [1.5, 0.2, -0.7]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([0, 1, 1], 2.1));
+  const twist = new Twist([0.3, -1.2, 0.5], [0.1, 0.7, -0.4]);
+
+  const roundTrip = twist.adjoint(g).inverseAdjoint(g);
+  twist.coordinates.forEach((value, i) => {
+    expect(equalTolerance(value, roundTrip.coordinates[i], 1e-12)).toBe(true);
+  });
+});
+
+test('adjoint matrix block structure', () => {
+  let g = identity(4);
+  g = setTransformTranslation(g, [1, 2, 3]);
+  const adjoint = Twist.adjointMatrix(g);
+  expect(deepEqual(size(adjoint), matrix([6, 6]))).toBe(true);
+  // lower left block is zero
+  [3, 4, 5].forEach((row) => {
+    [0, 1, 2].forEach((col) => {
+      expect(subset(adjoint, index(row, col))).toBe(0);
+    });
+  });
+});
+
+test('bracket is anti-symmetric', () => {
+  const twist1 = new Twist([0.3, -1.2, 0.5], [0.1, 0.7, -0.4]);
+  const twist2 = new Twist([-0.2, 0.4, 1.1], [0.6, -0.3, 0.2]);
+  const bracket12 = twist1.bracket(twist2);
+  const bracket21 = twist2.bracket(twist1);
+  bracket12.coordinates.forEach((value, i) => {
+    expect(equal(value, -bracket21.coordinates[i])).toBe(true);
+  });
+});
+
+test('bracket matches ad matrix and matrix commutator', () => {
+  const twist1 = new Twist([0.3, -1.2, 0.5], [0.1, 0.7, -0.4]);
+  const twist2 = new Twist([-0.2, 0.4, 1.1], [0.6, -0.3, 0.2]);
+  const bracket = twist1.bracket(twist2);
+
+  const fromAd = multiply(twist1.ad(), twist2.coordinates).toArray();
+  bracket.coordinates.forEach((value, i) => {
+    expect(equalTolerance(value, fromAd[i], 1e-12)).toBe(true);
+  });
+
+  const commutator = subtract(
+    multiply(twist1.hat(), twist2.hat()),
+    multiply(twist2.hat(), twist1.hat()),
+  );
+  expect(equalMatrixTolerance(bracket.hat(), commutator, 1e-12)).toBe(true);
+});
+
+test('bch raise on invalid order', () => {
+  const twist = new Twist([1, 0, 0], [0, 0, 1]);
+  expect(() => Twist.bch(twist, twist, 0)).toThrow('BCH order');
+  expect(() => Twist.bch(twist, twist, BCH_MAX_ORDER + 1)).toThrow('BCH order');
+});
+
+test('bch exact for commuting twists', () => {
+  // same screw axis, so the twists commute
+  const twist1 = new Twist([0.5, 0, 0.2], [0, 0, 0.3]);
+  const twist2 = twist1.multiply(0.4);
+  expect(Twist.bchError(twist1, twist2, 1) < 1e-12).toBe(true);
+});
+
+test('bch error decreases with order', () => {
+  const twist1 = new Twist([0.03, -0.12, 0.05], [0.01, 0.07, -0.04]);
+  const twist2 = new Twist([-0.02, 0.04, 0.11], [0.06, -0.03, 0.02]);
+  let previousError = Infinity;
+  [1, 2, 3, 4].forEach((order) => {
+    const error = Twist.bchError(twist1, twist2, order);
+    expect(error < previousError).toBe(true);
+    previousError = error;
+  });
+});
+
+const JACOBIAN_TWISTS = [
+  new Twist([0.3, -1.2, 0.5], [0.4, 0.9, -0.3]),
+  // small angle, series coefficients
+  new Twist([0.3, -1.2, 0.5], [0.01, -0.02, 0.03]),
+  new Twist([1.5, 0.2, -0.7], [0, 0, 0]),
+  new Twist([-0.4, 0.6, 0.1], [0, 0, 3]),
+];
+
+/**
+* Log of exp(first) exp(second), as coordinates.
+* @param {Twist} first
+* @param {Twist} second
+* @return {Array}
+*/
+function logOfProduct(first, second) {
+  return Twist.fromTransform(multiply(first.getTransform(), second.getTransform())).coordinates;
+}
+
+test('left and right jacobians match finite differences', () => {
+  const step = 1e-6;
+  JACOBIAN_TWISTS.forEach((twist) => {
+    const left = twist.getLeftJacobian();
+    const right = twist.getRightJacobian();
+    expect(deepEqual(size(left), matrix([6, 6]))).toBe(true);
+    [0, 1, 2, 3, 4, 5].forEach((j) => {
+      const delta = [0, 0, 0, 0, 0, 0];
+      delta[j] = step;
+      const perturbed = Twist.fromCoordinates(
+        twist.coordinates.map((value, i) => value + delta[i]),
+      );
+      const inverse = twist.multiply(-1);
+      // exp(this + delta) exp(-this) ~ exp(J_l delta)
+      const leftColumn = logOfProduct(perturbed, inverse);
+      // exp(-this) exp(this + delta) ~ exp(J_r delta)
+      const rightColumn = logOfProduct(inverse, perturbed);
+      [0, 1, 2, 3, 4, 5].forEach((i) => {
+        expect(equalTolerance(leftColumn[i] / step, left.get([i, j]), 1e-5)).toBe(true);
+        expect(equalTolerance(rightColumn[i] / step, right.get([i, j]), 1e-5)).toBe(true);
+      });
+    });
+  });
+});
+
+test('jacobian inverses', () => {
+  JACOBIAN_TWISTS.forEach((twist) => {
+    [
+      [twist.getLeftJacobian(), twist.getLeftJacobianInverse()],
+      [twist.getRightJacobian(), twist.getRightJacobianInverse()],
+    ].forEach(([jacobian, inverse]) => {
+      expect(equalMatrixTolerance(multiply(jacobian, inverse), identity(6), 1e-12)).toBe(true);
+    });
+    // left and right jacobians are related by the adjoint
+    expect(equalMatrixTolerance(
+      twist.getLeftJacobian(),
+      multiply(Twist.adjointMatrix(twist.getTransform()), twist.getRightJacobian()),
+      1e-12,
+    )).toBe(true);
+  });
+});
+
+test('jacobian of zero and pure translation twists', () => {
+  const zero = new Twist([0, 0, 0], [0, 0, 0]);
+  expect(equalMatrixTolerance(zero.getLeftJacobian(), identity(6), 1e-15)).toBe(true);
+
+  // [[I, 1/2 v^], [0, I]]
+  const translation = new Twist([1, 2, 3], [0, 0, 0]);
+  const jacobian = translation.getLeftJacobian();
+  expect(equalTolerance(jacobian.get([0, 4]), -1.5, 1e-15)).toBe(true);
+  expect(equalTolerance(jacobian.get([1, 3]), 1.5, 1e-15)).toBe(true);
+  expect(equalTolerance(translation.getLeftJacobianInverse().get([0, 4]), 1.5, 1e-15))
+    .toBe(true);
+});
@@ -2,7 +2,7 @@ import { Vector3, Quaternion } from 'three';
 
 import {
   equal, norm, transpose, add, matrix, subset, index, sin, cos,
-  identity, deepEqual,
+  identity, deepEqual, multiply,
 } from 'mathjs';
 
 import {
@@ -11,7 +11,10 @@ import {
   transformHasIdentityRotation,
   transformFromRotationTranslation, mathToThreeTransform,
   setTransformTranslation, getAxisAngleToRotateVector,
-  rotationMatrixFromThreeQuaternion,
+  rotationMatrixFromThreeQuaternion, inverseTransform,
+  EULER_SEQUENCES, rotationMatrixFromEulerAngles, eulerAnglesFromRotationMatrix,
+  rotationSeriesCoefficients, rotationMatrixFromRotationVector,
+  threeQuaternionFromRotationMatrix, jacobianSeriesCoefficients,
 } from '../src/util';
 
 test('normalize zero vector', () => {
@@ -110,6 +113,87 @@ test('axis angle from arbitrary rotation matrix', () => {
   expect(equalTolerance(vector[2] / angle, 0.9434564, tolerance)).toBe(true);
 });
 
+test('axis angle from half turn rotation matrix', () => {
+  const tolerance = 1e-12;
+  [[1, 0, 0], [0, -1, 0], [1, 2, -3], [-0.3, 0.001, 0.9]].forEach((axis) => {
+    const unitAxis = normalizeVector(axis);
+    const vector = axisAngleFromRotationMatrix(rotationMatrixFromAxisAngle(axis, Math.PI));
+    expect(vector.every((element) => Number.isFinite(element))).toBe(true);
+    expect(equalTolerance(norm(vector), Math.PI, tolerance)).toBe(true);
+    // either sign of the axis is valid
+    const cosine = vector.reduce((sum, element, i) => sum + element * unitAxis[i], 0) / Math.PI;
+    expect(equalTolerance(Math.abs(cosine), 1, tolerance)).toBe(true);
+  });
+});
+
+test('axis angle close to half turn keeps sign of axis', () => {
+  const axis = normalizeVector([0.2, -0.5, 0.7]);
+  [Math.PI - 1e-3, Math.PI - 1e-7, -(Math.PI - 1e-5)].forEach((angle) => {
+    const vector = axisAngleFromRotationMatrix(rotationMatrixFromAxisAngle(axis, angle));
+    const expected = axis.map((element) => element * angle);
+    expect(equalMatrixTolerance(matrix(vector), matrix(expected), 1e-9)).toBe(true);
+  });
+});
+
+test('axis angle from tiny rotation matrix', () => {
+  const axis = normalizeVector([1, -2, 0.5]);
+  [1e-3, 1e-8, 1e-14].forEach((angle) => {
+    const vector = axisAngleFromRotationMatrix(rotationMatrixFromAxisAngle(axis, angle));
+    expect(equalTolerance(norm(vector) / angle, 1, 1e-9)).toBe(true);
+  });
+});
+
+test('rotation series coefficients continuous at threshold', () => {
+  const below = rotationSeriesCoefficients(0.1 - 1e-12);
+  const above = rotationSeriesCoefficients(0.1);
+  ['a', 'b', 'c', 'd', 'e'].forEach((key) => {
+    expect(equalTolerance(below[key], above[key], 1e-12)).toBe(true);
+  });
+
+  const zero = rotationSeriesCoefficients(0);
+  expect(zero).toEqual({
+    a: 1, b: 0.5, c: 1 / 6, d: 1 / 12, e: 0.5,
+  });
+});
+
+test('jacobian series coefficients continuous at threshold', () => {
+  const below = jacobianSeriesCoefficients(0.5 - 1e-12);
+  const above = jacobianSeriesCoefficients(0.5);
+  ['f', 'g'].forEach((key) => {
+    expect(equalTolerance(below[key], above[key], 1e-14)).toBe(true);
+  });
+  expect(jacobianSeriesCoefficients(0)).toEqual({ f: 1 / 24, g: 1 / 120 });
+
+  // closed forms
+  const angle = 2;
+  const { f, g } = jacobianSeriesCoefficients(angle);
+  expect(equalTolerance(f, (angle ** 2 / 2 + cos(angle) - 1) / angle ** 4, 1e-15)).toBe(true);
+  expect(equalTolerance(
+    g,
+    (2 * angle - 3 * sin(angle) + angle * cos(angle)) / (2 * angle ** 5),
+    1e-15,
+  )).toBe(true);
+});
+
+test('rotation matrix from rotation vector matches axis angle', () => {
+  const axis = [0.3, -1.2, 0.4];
+  [0, 1e-9, 0.05, 1.3, Math.PI].forEach((angle) => {
+    const vector = normalizeVector(axis).map((element) => element * angle);
+    expect(equalMatrixTolerance(
+      rotationMatrixFromRotationVector(vector),
+      rotationMatrixFromAxisAngle(axis, angle),
+      1e-14,
+    )).toBe(true);
+  });
+});
+
+test('quaternion from half turn rotation matrix', () => {
+  const R = rotationMatrixFromAxisAngle([0, 0, 1], Math.PI);
+  const quaternion = threeQuaternionFromRotationMatrix(R);
+  expect(equalTolerance(Math.abs(quaternion.z), 1, 1e-12)).toBe(true);
+  expect(equalMatrixTolerance(rotationMatrixFromThreeQuaternion(quaternion), R, 1e-12)).toBe(true);
+});
+
 test('transform has identity rotation', () => {
   let g = identity(4);
   // set some transation
@@ -176,3 +260,75 @@ test('rotation matrix from identity quaternion', () => {
     ),
   ).toBe(true);
 });
+
+test('inverse transform', () => {
+  const g = transformFromRotationTranslation(
+    rotationMatrixFromAxisAngle([0.3, 0, -0.4], 2.3),
+    [0.1, 0.2, 0.3],
+  );
+  const product = multiply(g, inverseTransform(g));
+  expect(equalMatrixTolerance(product, identity(4), 1e-12)).toBe(true);
+});
+
+test('euler angles round trip for every sequence', () => {
+  EULER_SEQUENCES.forEach((sequence) => {
+    [false, true].forEach((extrinsic) => {
+      const angles = [0.4, 0.7, -2.1];
+      const R = rotationMatrixFromEulerAngles(angles, sequence, extrinsic);
+      const result = eulerAnglesFromRotationMatrix(R, sequence, extrinsic);
+      expect(result.gimbalLock).toBe(false);
+      result.angles.forEach((angle, i) => {
+        expect(equalTolerance(angle, angles[i], 1e-9)).toBe(true);
+      });
+    });
+  });
+});
+
+test('euler angles intrinsic is reversed extrinsic', () => {
+  const R = rotationMatrixFromEulerAngles([0.1, 0.2, 0.3], 'ZYX', false);
+  const RExpected = rotationMatrixFromEulerAngles([0.3, 0.2, 0.1], 'XYZ', true);
+  expect(equalMatrixTolerance(R, RExpected, 1e-12)).toBe(true);
+});
+
+test('euler angles gimbal lock', () => {
+  // middle angle 0 for proper, pi / 2 for Tait-Bryan sequences
+  [['ZXZ', 0], ['YZY', Math.PI], ['XYZ', Math.PI / 2], ['ZYX', -Math.PI / 2]].forEach(
+    ([sequence, middle]) => {
+      [false, true].forEach((extrinsic) => {
+        const R = rotationMatrixFromEulerAngles([0.4, middle, -0.3], sequence, extrinsic);
+        const result = eulerAnglesFromRotationMatrix(R, sequence, extrinsic);
+        expect(result.gimbalLock).toBe(true);
+        // the angles still give the same rotation
+        expect(
+          equalMatrixTolerance(
+            rotationMatrixFromEulerAngles(result.angles, sequence, extrinsic),
+            R,
+            1e-9,
+          ),
+        ).toBe(true);
+      });
+    },
+  );
+});
+
+test('euler angles gimbal lock zeroes the angle applied last', () => {
+  // the outer rotations are about the same fixed axis, only their sum counts
+  const R = rotationMatrixFromEulerAngles([0.4, Math.PI / 2, -0.3], 'ZYX', false);
+  const intrinsic = eulerAnglesFromRotationMatrix(R, 'ZYX', false);
+  expect(intrinsic.gimbalLock).toBe(true);
+  expect(intrinsic.angles[0]).toBe(0);
+  expect(equalTolerance(intrinsic.angles[2], -0.3 - 0.4, 1e-9)).toBe(true);
+
+  // as extrinsic rotations, the same matrix is Z, Y, X about fixed axes in
+  // the reversed order
+  const extrinsic = eulerAnglesFromRotationMatrix(R, 'XYZ', true);
+  expect(extrinsic.gimbalLock).toBe(true);
+  expect(extrinsic.angles[2]).toBe(0);
+  expect(equalTolerance(extrinsic.angles[0], -0.3 - 0.4, 1e-9)).toBe(true);
+});
+
+test('euler angles raise on unknown sequence', () => {
+  expect(() => rotationMatrixFromEulerAngles([0, 0, 0], 'XXY')).toThrow(
+    'Unknown Euler sequence',
+  );
+});
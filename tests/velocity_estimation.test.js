@@ -0,0 +1,104 @@
+import { multiply } from 'mathjs';
+
+import { fornbergWeights, estimateVelocities, VELOCITY_SCHEMES } from '../src/velocity_estimation';
+import { transformArrayFromMatrix } from '../src/se3';
+import { equalTolerance } from '../src/util';
+import Twist from '../src/twist';
+import Screw from '../src/screw';
+
+const TOLERANCE = 1e-9;
+
+/**
+* @param {Array} coordinates1
+* @param {Array} coordinates2
+* @return {number} largest absolute difference
+*/
+function maxDifference(coordinates1, coordinates2) {
+  return Math.max(...coordinates1.map((value, i) => Math.abs(value - coordinates2[i])));
+}
+
+test('fornberg weights', () => {
+  expect(fornbergWeights(0, [-1, 0, 1])).toEqual([-0.5, 0, 0.5]);
+  expect(fornbergWeights(0, [-1, 0, 1], 2)).toEqual([1, -2, 1]);
+  expect(fornbergWeights(0, [0, 1])).toEqual([-1, 1]);
+
+  // exact for a quadratic on uneven nodes
+  const nodes = [0.1, 0.25, 0.7];
+  const weights = fornbergWeights(0.25, nodes);
+  const derivative = weights.reduce((sum, w, j) => sum + w * nodes[j] ** 2, 0);
+  expect(equalTolerance(derivative, 0.5, 1e-12)).toBe(true);
+
+  expect(() => fornbergWeights(0, [0])).toThrow('Need at least 2 nodes');
+  expect(() => fornbergWeights(0, [0, 1, 1])).toThrow('must be distinct');
+  expect(() => fornbergWeights(0, [0, 1], -1)).toThrow('non-negative integer');
+});
+
+test('raise on invalid inputs', () => {
+  const twist = new Twist([0.1, 0, 0], [0, 0, 0.2]);
+  const transforms = [0, 1, 2].map((t) => twist.multiply(t).getTransform());
+  expect(() => estimateVelocities([0, 1, 2], transforms, 'spline')).toThrow('Unknown velocity scheme');
+  expect(() => estimateVelocities([0, 1], transforms)).toThrow('do not match');
+  expect(() => estimateVelocities([0, 1, 1], transforms)).toThrow('strictly increasing');
+  expect(() => estimateVelocities([0, 1, 2], transforms, 'fivePoint')).toThrow('at least 5 samples');
+});
+
+test('exact for constant twist motion', () => {
+  // g(t) = exp(xi t) g0, with constant spatial velocity xi and body velocity
+  // Ad(g0^-1) xi
+  const xi = new Twist([0.3, -1.2, 0.5], [0.4, 0.9, -0.3]);
+  const g0 = new Twist([1, 0.5, -0.2], [0.1, -0.3, 0.2]).getTransform();
+  const times = [0, 0.05, 0.12, 0.2, 0.3, 0.33, 0.4];
+  const transforms = times.map((t) => multiply(xi.multiply(t).getTransform(), g0));
+  const body = xi.inverseAdjoint(g0).coordinates;
+
+  VELOCITY_SCHEMES.forEach((offsets, scheme) => {
+    const velocities = estimateVelocities(times, transforms, scheme);
+    expect(velocities.length).toBe(times.length);
+    velocities.forEach((velocity, i) => {
+      expect(velocity.time).toBe(times[i]);
+      expect(maxDifference(velocity.spatial.coordinates, xi.coordinates) < TOLERANCE).toBe(true);
+      expect(maxDifference(velocity.body.coordinates, body) < TOLERANCE).toBe(true);
+      expect(velocity.screw.valuesEqualTo(Screw.fromTwist(xi))).toBe(true);
+    });
+  });
+
+  // flat arrays are accepted too
+  const velocities = estimateVelocities(times, transforms.map((g) => transformArrayFromMatrix(g)));
+  expect(maxDifference(velocities[3].spatial.coordinates, xi.coordinates) < TOLERANCE).toBe(true);
+});
+
+test('higher order schemes are more accurate', () => {
+  // g(t) = exp(xi1 t) exp(xi2 t^2), with spatial velocity
+  // xi1 + Ad(exp(xi1 t)) (2 t xi2)
+  const xi1 = new Twist([0.3, -1.2, 0.5], [0.4, 0.9, -0.3]);
+  const xi2 = new Twist([-0.2, 0.1, 0.6], [0.5, -0.2, 0.7]);
+  const step = 0.01;
+  const times = [0, 1, 2, 3, 4, 5, 6].map((i) => 0.5 + i * step);
+  const transforms = times.map(
+    (t) => multiply(xi1.multiply(t).getTransform(), xi2.multiply(t * t).getTransform()),
+  );
+
+  const spatialVelocity = (t) => xi1.add(
+    xi2.multiply(2 * t).adjoint(xi1.multiply(t).getTransform()),
+  );
+  const expected = spatialVelocity(times[3]);
+  const errors = new Map();
+  VELOCITY_SCHEMES.forEach((offsets, scheme) => {
+    const velocity = estimateVelocities(times, transforms, scheme)[3];
+    errors.set(scheme, maxDifference(velocity.spatial.coordinates, expected.coordinates));
+  });
+
+  // first order, with error of the order of the step
+  expect(errors.get('forward') < 10 * step).toBe(true);
+  expect(errors.get('backward') < 10 * step).toBe(true);
+  expect(errors.get('central') < errors.get('forward') / 10).toBe(true);
+  expect(errors.get('fivePoint') < errors.get('central') / 10).toBe(true);
+
+  // the one-sided stencils at the ends keep the order
+  const velocities = estimateVelocities(times, transforms, 'central');
+  const error = maxDifference(
+    velocities[0].spatial.coordinates,
+    spatialVelocity(times[0]).coordinates,
+  );
+  expect(error < 10 * step ** 2).toBe(true);
+});
@@ -0,0 +1,102 @@
+import {
+  equal, identity,
+} from 'mathjs';
+
+import {
+  setTransformTranslation, setTransformRotation, rotationMatrixFromAxisAngle,
+  equalTolerance, normalizeVector,
+} from '../src/util';
+
+import Wrench from '../src/wrench';
+import Screw from '../src/screw';
+import Axis from '../src/axis';
+import Twist from '../src/twist';
+
+test('pure force to screw', () => {
+  // unit force along z, acting through [1, 0, 0], so moment = p x f
+  const wrench = new Wrench([0, 0, 1], [0, -1, 0]);
+  const screw = wrench.toScrew();
+  expect(screw.isPureRotation).toBe(true);
+  expect(equal(screw.magnitude, 1)).toBe(true);
+  expect(screw.axis.equalTo(new Axis([1, 0, 0], [0, 0, 1]))).toBe(true);
+});
+
+test('pure moment to screw', () => {
+  const wrench = new Wrench([0, 0, 0], [0, 2, 0]);
+  const screw = wrench.toScrew();
+  expect(screw.isPureTranslation).toBe(true);
+  expect(equal(screw.magnitude, 2)).toBe(true);
+});
+
+test('screw to wrench round trip', () => {
+  const screw = new Screw(new Axis([0.5, -0.2, 1], [1, 0.4, -2]), 0.3, 2.5);
+  const wrench = Wrench.fromScrew(screw);
+  expect(wrench.toScrew().valuesEqualTo(screw)).toBe(true);
+});
+
+test('reciprocal product of screw and its twist', () => {
+  const screw = new Screw(new Axis([0.5, -0.2, 1], [1, 0.4, -2]), 0.3, 2.5);
+  const wrench = new Wrench([0.1, 2, -1], [0.3, 0, 0.7]);
+  expect(
+    equalTolerance(
+      wrench.reciprocalProduct(screw),
+      wrench.reciprocalProduct(screw.getTwistAtMagnitude(screw.magnitude)),
+      1e-12,
+    ),
+  ).toBe(true);
+});
+
+test('reciprocal product of force and rotation about its axis', () => {
+  // a force along a revolute axis does no work
+  const wrench = new Wrench([0, 0, 1], [0, -1, 0]);
+  const twist = new Screw(new Axis([1, 0, 0], [0, 0, 1]), 0, 1).unitTwist;
+  expect(equal(wrench.reciprocalProduct(twist), 0)).toBe(true);
+});
+
+test('power invariant to frame change', () => {
+  let g = identity(4);
+  g = setTransformTranslation(g, [0.231, -4.312, 0.063]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([2.012, 1.044, -0.569], -0.513));
+
+  // twist in frame C, wrench in frame B, g is the pose of C relative to B
+  const twistC = new Twist([0.3, -1.2, 0.5], [0.1, 0.7, -0.4]);
+  const wrenchB = new Wrench([0.1, 2, -1], [0.3, 0, 0.7]);
+
+  const powerB = wrenchB.reciprocalProduct(twistC.adjoint(g));
+  const powerC = wrenchB.transposeAdjoint(g).reciprocalProduct(twistC);
+  expect(equalTolerance(powerB, powerC, 1e-12)).toBe(true);
+});
+
+test('inverse transpose adjoint undoes transpose adjoint', () => {
+  let g = identity(4);
+  g = setTransformTranslation(g, [1.5, 0.2, -0.7]);
+  g = setTransformRotation(g, rotationMatrixFromAxisAngle([0, 1, 1], 2.1));
+  const wrench = new Wrench([0.1, 2, -1], [0.3, 0, 0.7]);
+
+  const roundTrip = wrench.transposeAdjoint(g).inverseTransposeAdjoint(g);
+  wrench.coordinates.forEach((value, i) => {
+    expect(equalTolerance(value, roundTrip.coordinates[i], 1e-12)).toBe(true);
+  });
+});
+
+test('wrench to three viz', () => {
+  const wrench = new Wrench([0.1, 2, -1], [0.3, 0, 0.7]);
+  const viz = wrench.getAxisThreeViz();
+  expect(viz.type).toBe('Mesh');
+  expect(viz.children.length).toBe(0);
+  expect(viz.geometry.type).toBe('TubeGeometry');
+  expect(viz.material.color.getHex()).toBe(0xE87722);
+
+  // the viz z axis is along the force, through the closest point of the
+  // wrench axis to the origin
+  const screw = wrench.toScrew();
+  const { elements } = wrench.getVizThreeTransform();
+  const forceDirection = normalizeVector(wrench.force);
+  [8, 9, 10].forEach((element, i) => {
+    expect(equalTolerance(elements[element], forceDirection[i], 1e-12)).toBe(true);
+  });
+  const closestPoint = screw.axis.getClosestPointToOrigin();
+  [12, 13, 14].forEach((element, i) => {
+    expect(equalTolerance(elements[element], closestPoint[i], 1e-12)).toBe(true);
+  });
+});